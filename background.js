@@ -0,0 +1,285 @@
+// Service worker: owns the effective settings, shows them on the toolbar badge and relays them to mail tabs
+// The popup still writes user settings to chrome.storage.sync; this worker
+// merges them with administrator policy and the pause, ends pauses with an
+// alarm, writes the challenge history for every context, and pushes every
+// change to the content scripts in open mail tabs.
+
+importScripts('schedule.js', 'i18n.js', 'settings.js', 'history.js', 'pause.js');
+
+const BACKGROUND_CONFIG = {
+    BADGE_REFRESH_ALARM: 'refreshBadge',
+    BADGE_REFRESH_MINUTES: 1,
+    // Toolbar badge and tooltip message by protection state (pause.js)
+    BADGES: {
+        active: { text: '✓', color: '#059669', title: 'activeOn' },
+        idle: { text: '☾', color: '#64748b', title: 'activeIdle' },
+        paused: { text: '⏸', color: '#d97706', title: 'activePaused' },
+        disabled: { text: '✕', color: '#9ca3af', title: 'activeOff' }
+    },
+    MENU_PAUSE_PREFIX: 'pause-'
+};
+
+// Effective state being loaded or loaded: { settings, lockedKeys, pausedUntil };
+// reset whenever storage changes, and lost whenever the worker is suspended
+let statePromise = null;
+
+// End of the last pause cleared here, so the alarm and a state refresh that
+// both find it over do not record it twice
+let endedPauseUntil = 0;
+
+/**
+ * Load the user's settings from sync storage
+ * @returns {Promise<Object>} Validated user settings, or the defaults when storage fails
+ */
+function loadUserSettings() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get(SETTINGS_CONFIG.DEFAULT_SETTINGS, function(result) {
+            if (chrome.runtime.lastError) {
+                console.error('Error loading settings:', chrome.runtime.lastError.message);
+                resolve(validateSettings(SETTINGS_CONFIG.DEFAULT_SETTINGS));
+            } else {
+                resolve(validateSettings(result));
+            }
+        });
+    });
+}
+
+/**
+ * Load the effective settings, policy locks and pause from storage
+ * @returns {Promise<{settings: Object, lockedKeys: Array<string>, pausedUntil: number}>} Effective state
+ */
+function loadState() {
+    return Promise.all([
+        loadUserSettings(),
+        loadManagedPolicy(),
+        loadPause()
+    ]).then(function([userSettings, policy, pausedUntil]) {
+        const managed = applyPolicy(userSettings, policy);
+        return { settings: managed.settings, lockedKeys: managed.lockedKeys, pausedUntil };
+    });
+}
+
+/**
+ * Get the effective state, loading it if the worker has just started
+ * @returns {Promise<Object>} Effective state
+ */
+function getState() {
+    if (!statePromise) {
+        statePromise = loadState();
+    }
+    return statePromise;
+}
+
+/**
+ * Show the protection state on the toolbar button
+ * @param {Object} state - Effective state
+ */
+function updateBadge(state) {
+    const protection = getProtectionState(state.settings, state.lockedKeys, state.pausedUntil);
+    const badge = BACKGROUND_CONFIG.BADGES[protection];
+    
+    chrome.action.setBadgeText({ text: badge.text });
+    chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    chrome.action.setTitle({
+        title: t('actionTitleState', t(badge.title, formatPauseEnd(state.pausedUntil)))
+    });
+}
+
+/**
+ * Create the toolbar button's context menu
+ * Menus outlive the worker, so this only runs on install and update.
+ */
+function createMenus() {
+    chrome.contextMenus.removeAll(function() {
+        chrome.contextMenus.create({ id: 'enable', title: t('menuEnable'), contexts: ['action'] });
+        chrome.contextMenus.create({ id: 'disable', title: t('menuDisable'), contexts: ['action'] });
+        chrome.contextMenus.create({ id: 'pause', title: t('labelPause'), contexts: ['action'] });
+        PAUSE_CONFIG.OPTIONS.forEach(function(option) {
+            chrome.contextMenus.create({
+                id: BACKGROUND_CONFIG.MENU_PAUSE_PREFIX + option,
+                parentId: 'pause',
+                title: t(PAUSE_CONFIG.MESSAGES[option]),
+                contexts: ['action']
+            });
+        });
+        chrome.contextMenus.create({ id: 'resume', title: t('buttonResume'), contexts: ['action'] });
+        chrome.contextMenus.create({ id: 'practice', title: t('menuPractice'), contexts: ['action'] });
+        getState().then(updateMenus);
+    });
+}
+
+/**
+ * Show only the menu items that apply to the current state
+ * @param {Object} state - Effective state
+ */
+function updateMenus(state) {
+    const enabledLocked = state.lockedKeys.includes('enabled');
+    const paused = isPaused(state.pausedUntil);
+    const ignoreMissing = function() {
+        return chrome.runtime.lastError;
+    };
+    
+    chrome.contextMenus.update('enable', { visible: !state.settings.enabled, enabled: !enabledLocked }, ignoreMissing);
+    chrome.contextMenus.update('disable', { visible: state.settings.enabled, enabled: !enabledLocked }, ignoreMissing);
+    chrome.contextMenus.update('pause', { visible: state.settings.enabled && !paused, enabled: canPause(state.lockedKeys) }, ignoreMissing);
+    chrome.contextMenus.update('resume', { visible: state.settings.enabled && paused }, ignoreMissing);
+}
+
+/**
+ * Send a message to the content scripts of every open mail tab
+ * Tabs opened before the extension was installed have no content script and
+ * are skipped.
+ * @param {Object} message - Message to send
+ */
+function sendToMailTabs(message) {
+    const matches = chrome.runtime.getManifest().content_scripts[0].matches;
+    chrome.tabs.query({ url: matches }, function(tabs) {
+        tabs.forEach(function(tab) {
+            chrome.tabs.sendMessage(tab.id, message, function() {
+                return chrome.runtime.lastError;
+            });
+        });
+    });
+}
+
+/**
+ * Clear a pause that has run its course and record its end in the history
+ * @param {number} pausedUntil - End of the pause in ms
+ * @param {string} source - What found it over: 'alarm', or 'startup' when it ended while the browser was closed
+ */
+function endExpiredPause(pausedUntil, source) {
+    if (pausedUntil === endedPauseUntil) {
+        return;
+    }
+    endedPauseUntil = pausedUntil;
+    
+    console.log(`Pause ended (${source})`);
+    chrome.storage.local.remove(PAUSE_CONFIG.STORAGE_KEY);
+    getState().then(function(state) {
+        appendHistoryEvent({ type: 'resumed', time: pausedUntil, source }, state.settings.historyRetentionDays);
+    });
+}
+
+/**
+ * Keep the pause alarm in line with the stored pause
+ * A pause whose end passed while the browser was closed is cleared here.
+ * @param {number} pausedUntil - End of the pause in ms, 0 when there is none
+ */
+function syncPauseAlarm(pausedUntil) {
+    if (isPaused(pausedUntil)) {
+        chrome.alarms.create(PAUSE_CONFIG.ALARM_NAME, { when: pausedUntil });
+    } else {
+        chrome.alarms.clear(PAUSE_CONFIG.ALARM_NAME);
+        if (pausedUntil > 0) {
+            endExpiredPause(pausedUntil, 'startup');
+        }
+    }
+}
+
+/**
+ * Reload the effective state and pass it on to the badge, menus and mail tabs
+ * @returns {Promise<Object>} Effective state
+ */
+function refreshState() {
+    statePromise = loadState();
+    return statePromise.then(function(state) {
+        syncPauseAlarm(state.pausedUntil);
+        updateBadge(state);
+        updateMenus(state);
+        sendToMailTabs({ type: 'stateChanged', state });
+        return state;
+    });
+}
+
+/**
+ * Turn protection on or off from the context menu, unless policy enforces it
+ * @param {boolean} enabled - Whether challenges should be shown
+ */
+function setEnabled(enabled) {
+    getState().then(function(state) {
+        if (state.lockedKeys.includes('enabled')) {
+            return;
+        }
+        chrome.storage.sync.set({ enabled });
+    });
+}
+
+/**
+ * Ask the active tab to show a practice challenge with the current settings
+ * Nothing is sent when it is passed; pages without Mail Goggles ignore it.
+ */
+function runPractice() {
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        if (tabs.length === 0) {
+            return;
+        }
+        chrome.tabs.sendMessage(tabs[0].id, { type: 'runPractice' }, function() {
+            if (chrome.runtime.lastError) {
+                console.log('No mail tab to practice in');
+            }
+        });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener(function(info) {
+    const id = String(info.menuItemId);
+    
+    if (id === 'enable' || id === 'disable') {
+        setEnabled(id === 'enable');
+    } else if (id === 'resume') {
+        getState().then(state => endPause(state.settings.historyRetentionDays));
+    } else if (id === 'practice') {
+        runPractice();
+    } else if (id.startsWith(BACKGROUND_CONFIG.MENU_PAUSE_PREFIX)) {
+        const option = id.slice(BACKGROUND_CONFIG.MENU_PAUSE_PREFIX.length);
+        getState().then(function(state) {
+            if (canPause(state.lockedKeys)) {
+                startPause(option, 'menu', state.settings.historyRetentionDays);
+            }
+        });
+    }
+});
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name === PAUSE_CONFIG.ALARM_NAME) {
+        loadPause().then(function(pausedUntil) {
+            if (pausedUntil > 0) {
+                endExpiredPause(pausedUntil, 'alarm');
+            }
+        });
+    } else if (alarm.name === BACKGROUND_CONFIG.BADGE_REFRESH_ALARM) {
+        // Scheduled hours begin and end without any storage change
+        getState().then(updateBadge);
+    }
+});
+
+chrome.storage.onChanged.addListener(function(changes, namespace) {
+    if (namespace === 'sync' || namespace === 'managed' ||
+        (namespace === 'local' && changes[PAUSE_CONFIG.STORAGE_KEY])) {
+        refreshState();
+    }
+});
+
+chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    if (message && message.type === 'getState') {
+        getState().then(sendResponse);
+        return true;
+    }
+    // Pages and the popup record history through this worker, its only writer
+    if (message && message.type === HISTORY_CONFIG.CHANGE_MESSAGE &&
+        message.change && HISTORY_CONFIG.CHANGE_ACTIONS.includes(message.change.action)) {
+        applyHistoryChange(message.change).then(() => sendResponse(true));
+        return true;
+    }
+});
+
+chrome.runtime.onStartup.addListener(function() {
+    chrome.alarms.create(BACKGROUND_CONFIG.BADGE_REFRESH_ALARM, { periodInMinutes: BACKGROUND_CONFIG.BADGE_REFRESH_MINUTES });
+    refreshState();
+});
+
+chrome.runtime.onInstalled.addListener(function() {
+    chrome.alarms.create(BACKGROUND_CONFIG.BADGE_REFRESH_ALARM, { periodInMinutes: BACKGROUND_CONFIG.BADGE_REFRESH_MINUTES });
+    createMenus();
+    refreshState();
+});
@@ -3,54 +3,132 @@
     
     // Configuration constants
     const EXTENSION_CONFIG = {
-        SCAN_INTERVAL: 2000,
-        CHALLENGE_TIMEOUT: 3000,
-        MODAL_ANIMATION_DELAY: 500,
-        NIGHT_START: 22,
-        NIGHT_END: 8,
-        DEFAULT_SETTINGS: {
-            enabled: true,
-            nightMode: false,
-            numProblems: 3,
-            timeLimit: 60
+        ADAPTIVE_STATE_KEY: 'adaptiveState',
+        MAX_RECENT_SENDS: 100,
+        // Operand ranges grow by this factor for each step past the hardest preset
+        ESCALATION_SCALE: 2,
+        // Smallest multiplication and division factor, so a custom range from 0
+        // never asks for × 0 or × 1
+        MIN_FACTOR: 2,
+        REPLAY_VERIFY_TIMEOUT: 5000,
+        REPLAY_VERIFY_INTERVAL: 250,
+        CAPS_MIN_LETTERS: 20,
+        ATTACHMENT_WORDS: ['attached', 'attachment', 'enclosed'],
+        DIFFICULTY_PRESETS: {
+            easy: {
+                minOperand: 1,
+                maxOperand: 15,
+                minFactor: 2,
+                maxFactor: 9,
+                operators: ['+', '-', '*'],
+                allowNegative: false,
+                multiStep: false
+            },
+            medium: {
+                minOperand: 5,
+                maxOperand: 29,
+                minFactor: 2,
+                maxFactor: 13,
+                operators: ['+', '-', '*'],
+                allowNegative: false,
+                multiStep: false
+            },
+            hard: {
+                minOperand: 10,
+                maxOperand: 99,
+                minFactor: 3,
+                maxFactor: 19,
+                operators: ['+', '-', '*', '/'],
+                allowNegative: true,
+                multiStep: true
+            }
+        },
+        OPERATOR_SYMBOLS: {
+            '+': '+',
+            '-': '-',
+            '*': '×',
+            '/': '÷'
         },
-        SEND_BUTTON_SELECTORS: [
-            '[role="button"][data-tooltip*="Send"]',
-            '[aria-label*="Send"]', 
-            '[data-tooltip*="Send"]',
-            'div[data-tooltip="Send (Ctrl+Enter)"]',
-            '.T-I.J-J5-Ji.aoO.v7.T-I-atl.L3',
-            '[data-testid="send"]',
-            'button[name="send"]',
-            '.Am.Al.editable .T-I.J-J5-Ji.aoO.T-I-atl.L3'
-        ]
+        OPERATOR_MESSAGES: {
+            '+': 'spokenPlus',
+            '-': 'spokenMinus',
+            '*': 'spokenTimes',
+            '/': 'spokenDividedBy'
+        },
+        TIMER_ANNOUNCEMENTS: [30, 10, 5],
+        TIMER_TICK: 250,
+        // The timer turns to its warning look for the last 10 seconds, or the last
+        // quarter of shorter limits
+        TIMER_WARNING_SECONDS: 10,
+        TIMER_RING_RADIUS: 16,
+        STYLESHEET: 'challenge.css',
+        DARK_LUMINANCE: 0.4,
+        MEMORY_DISPLAY_TIME: 3000,
+        MEMORY_SEQUENCE_LENGTH: 5,
+        SUMMARY_RECIPIENTS: 2,
+        // Body lines shown on the cooling-off screen, and characters per line
+        PREVIEW_LINES: 3,
+        PREVIEW_LINE_LENGTH: 160,
+        // Block elements that start a new line in a compose editor
+        LINE_BREAK_SELECTOR: 'br, div, p, li, blockquote',
+        COMPOSE_AUDIT_DELAY: 2000,
+        // Message names by send path (sites.js): toast label and hold countdown
+        SEND_PATH_MESSAGES: {
+            send: { label: 'pathSend', countdown: 'holdCountdown' },
+            shortcut: { label: 'pathShortcut', countdown: 'holdCountdown' },
+            scheduleSend: { label: 'pathScheduleSend', countdown: 'holdCountdownSchedule' },
+            sendArchive: { label: 'pathSendArchive', countdown: 'holdCountdown' }
+        }
     };
     
     console.log('Mail Goggles v4.2 initialized');
     
-    if (!window.location.hostname.includes('mail.google.com')) {
+    // Adapter for the webmail client on this page (sites.js)
+    const site = getSiteAdapter(getPageHostname());
+    if (!site) {
         return;
     }
+    console.log(`Using ${site.label} site adapter`);
     
-    let challengeActive = false;
-    let settings = { ...EXTENSION_CONFIG.DEFAULT_SETTINGS };
+    let settings = { ...SETTINGS_CONFIG.DEFAULT_SETTINGS };
+    let composeCounter = 0;
+    let challengeStyles = null;
+    let composeAuditTimer = null;
+    let activeComposeRoot = null;
+    let sendTokenCounter = 0;
+    let challengeCounter = 0;
+    let holdCounter = 0;
+    let openChallenge = null;
+    let lockedKeys = [];
+    let pausedUntil = 0;
     
-    /**
-     * Validates and sanitizes settings object
-     * @param {Object} rawSettings - Raw settings from storage
-     * @returns {Object} Validated settings
-     */
-    function validateSettings(rawSettings) {
-        return {
-            enabled: Boolean(rawSettings.enabled),
-            nightMode: Boolean(rawSettings.nightMode),
-            numProblems: Math.min(Math.max(parseInt(rawSettings.numProblems) || 3, 1), 10),
-            timeLimit: Math.min(Math.max(parseInt(rawSettings.timeLimit) || 60, 0), 3600)
-        };
-    }
+    // Open compose windows: root element -> { id, openedAt, buttons: Map<button, { handler, detection }> }
+    const composeRegistry = new Map();
+    
+    // Compose windows the user has already been warned about
+    const warnedComposeRoots = new WeakSet();
+    
+    // Compose windows whose controls were all scanned when their editor appeared;
+    // after that only added nodes are scanned
+    const scannedComposeRoots = new WeakSet();
+    
+    // One-shot authorized sends: compose window root (or the control itself
+    // outside a compose window) -> { id, path }
+    const authorizedSends = new WeakMap();
+    
+    // Challenges waiting for the one on screen to finish, oldest first
+    const challengeQueue = [];
+    
+    // Drafts with a challenge on screen or queued: send scope -> challenge
+    const pendingChallenges = new Map();
+    
+    // Adaptive mode state, shared by all mail tabs through local storage:
+    // recent send times, wrong answers in a row and the end of any lockout
+    let adaptiveState = readAdaptiveState();
     
     /**
      * Load settings from Chrome storage with error handling
+     * Administrator policy from managed storage overrides the user's values.
      * @returns {Promise<Object>} Promise resolving to settings
      */
     function loadSettings() {
@@ -62,14 +140,21 @@
                     return;
                 }
                 
-                chrome.storage.sync.get(EXTENSION_CONFIG.DEFAULT_SETTINGS, function(result) {
+                chrome.storage.sync.get(SETTINGS_CONFIG.DEFAULT_SETTINGS, function(result) {
                     if (chrome.runtime.lastError) {
                         console.error('Error loading settings:', chrome.runtime.lastError.message);
                         resolve(settings);
                     } else {
-                        settings = validateSettings(result);
-                        console.log('Settings loaded:', JSON.stringify(settings));
-                        resolve(settings);
+                        loadManagedPolicy().then(function(policy) {
+                            const managed = applyPolicy(validateSettings(result), policy);
+                            settings = managed.settings;
+                            lockedKeys = managed.lockedKeys;
+                            if (managed.lockedKeys.length > 0 || managed.minProblems > 1) {
+                                console.log('Administrator policy applied:', managed.lockedKeys.join(', '));
+                            }
+                            console.log('Settings loaded:', JSON.stringify(settings));
+                            resolve(settings);
+                        });
                     }
                 });
             } catch (error) {
@@ -79,6 +164,195 @@
         });
     }
     
+    /**
+     * Take on the effective state sent by the service worker
+     * @param {{settings: Object, lockedKeys: Array<string>, pausedUntil: number}} state - Effective state
+     */
+    function applyState(state) {
+        settings = state.settings;
+        lockedKeys = Array.isArray(state.lockedKeys) ? state.lockedKeys : [];
+        pausedUntil = Number(state.pausedUntil) || 0;
+        console.log('Settings loaded:', JSON.stringify(settings));
+    }
+    
+    /**
+     * Ask the service worker for the effective settings, policy locks and pause
+     * Falls back to reading storage directly when the worker does not answer.
+     * @returns {Promise<Object>} Promise resolving to settings
+     */
+    function loadState() {
+        const loadFromStorage = function() {
+            return Promise.all([
+                loadSettings(),
+                loadPause().then(function(value) {
+                    pausedUntil = value;
+                })
+            ]).then(() => settings);
+        };
+        
+        return new Promise((resolve) => {
+            try {
+                chrome.runtime.sendMessage({ type: 'getState' }, function(state) {
+                    if (chrome.runtime.lastError || !state || !state.settings) {
+                        console.log('No state from the service worker, reading storage');
+                        resolve(loadFromStorage());
+                    } else {
+                        applyState(state);
+                        resolve(settings);
+                    }
+                });
+            } catch (error) {
+                console.error('State request failed:', error);
+                resolve(loadFromStorage());
+            }
+        });
+    }
+    
+    /**
+     * Sanitize adaptive mode state read from storage
+     * @param {Object} [rawState] - Stored state
+     * @returns {{sends: number[], failures: number, lockedUntil: number}} Adaptive mode state
+     */
+    function readAdaptiveState(rawState) {
+        const state = rawState || {};
+        return {
+            sends: Array.isArray(state.sends) ? state.sends.filter(Number.isFinite) : [],
+            failures: Math.max(parseInt(state.failures) || 0, 0),
+            lockedUntil: Number(state.lockedUntil) || 0
+        };
+    }
+    
+    /**
+     * Load adaptive mode state from local storage
+     * @returns {Promise<Object>} Promise resolving to the state
+     */
+    function loadAdaptiveState() {
+        return new Promise((resolve) => {
+            if (!chrome || !chrome.storage || !chrome.storage.local) {
+                resolve(adaptiveState);
+                return;
+            }
+            
+            chrome.storage.local.get(EXTENSION_CONFIG.ADAPTIVE_STATE_KEY, function(result) {
+                if (chrome.runtime.lastError) {
+                    console.error('Error loading adaptive state:', chrome.runtime.lastError.message);
+                } else {
+                    adaptiveState = readAdaptiveState(result[EXTENSION_CONFIG.ADAPTIVE_STATE_KEY]);
+                }
+                resolve(adaptiveState);
+            });
+        });
+    }
+    
+    /**
+     * Save adaptive mode state to local storage, where other mail tabs pick it up
+     */
+    function saveAdaptiveState() {
+        if (!chrome || !chrome.storage || !chrome.storage.local) {
+            return;
+        }
+        
+        chrome.storage.local.set({ [EXTENSION_CONFIG.ADAPTIVE_STATE_KEY]: adaptiveState }, function() {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving adaptive state:', chrome.runtime.lastError.message);
+            }
+        });
+    }
+    
+    /**
+     * Get the times of sends inside adaptive mode's burst window
+     * @returns {number[]} Send times in ms, oldest first
+     */
+    function getRecentSends() {
+        const cutoff = Date.now() - settings.adaptive.burstMinutes * 60 * 1000;
+        return adaptiveState.sends.filter(time => time >= cutoff);
+    }
+    
+    /**
+     * Note a send that reaches the mail site, for adaptive mode's burst count
+     */
+    function recordSend() {
+        if (!settings.adaptive.enabled) {
+            return;
+        }
+        
+        adaptiveState.sends = getRecentSends().concat(Date.now()).slice(-EXTENSION_CONFIG.MAX_RECENT_SENDS);
+        saveAdaptiveState();
+    }
+    
+    /**
+     * Count recent sends when they are enough to add problems to a challenge
+     * @returns {number} Sends in the burst window, or 0 when there is no burst
+     */
+    function getBurstSends() {
+        const adaptive = settings.adaptive;
+        if (!adaptive.enabled || adaptive.burstSends === 0 || adaptive.burstExtraProblems === 0) {
+            return 0;
+        }
+        
+        const count = getRecentSends().length;
+        return count >= adaptive.burstSends ? count : 0;
+    }
+    
+    /**
+     * Get how long the adaptive lockout still lasts
+     * @returns {number} Remaining lockout in ms, 0 when not locked out
+     */
+    function getLockoutRemaining() {
+        return Math.max(adaptiveState.lockedUntil - Date.now(), 0);
+    }
+    
+    /**
+     * Count a wrong submission towards the adaptive lockout
+     * Wrong answers add up across challenges and tabs, so cancelling and
+     * sending again does not start over; a passed challenge resets them.
+     * @param {Object} adaptive - Adaptive mode settings
+     * @returns {boolean} Whether this submission started a lockout
+     */
+    function recordWrongAttempt(adaptive) {
+        if (!adaptive.enabled || adaptive.lockoutFailures === 0) {
+            return false;
+        }
+        
+        adaptiveState.failures++;
+        const lockedOut = adaptiveState.failures >= adaptive.lockoutFailures;
+        if (lockedOut) {
+            adaptiveState.failures = 0;
+            adaptiveState.lockedUntil = Date.now() + adaptive.lockoutMinutes * 60 * 1000;
+            recordChallengeEvent('lockedOut', { minutes: adaptive.lockoutMinutes });
+        }
+        saveAdaptiveState();
+        return lockedOut;
+    }
+    
+    /**
+     * Forget the wrong answers counted towards the lockout
+     */
+    function resetWrongAttempts() {
+        if (adaptiveState.failures > 0) {
+            adaptiveState.failures = 0;
+            saveAdaptiveState();
+        }
+    }
+    
+    /**
+     * Check whether a pause (pause.js) lets sends skip their challenge
+     * @returns {boolean} Whether challenges are paused and policy allows it
+     */
+    function isChallengePaused() {
+        return canPause(lockedKeys) && isPaused(pausedUntil);
+    }
+    
+    /**
+     * Format a remaining duration as minutes and seconds, e.g. "4:05"
+     * @param {number} ms - Duration in ms
+     * @returns {string} Formatted duration
+     */
+    function formatCountdown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${formatNumber(Math.floor(seconds / 60))}:${formatNumber(seconds % 60, { minimumIntegerDigits: 2 })}`;
+    }
+    
     /**
      * Check if extension should be active based on settings
      * @returns {boolean} Whether extension should be active
@@ -89,385 +363,2203 @@
             return false;
         }
         
-        if (!settings.nightMode) {
-            console.log('Always active mode');
-            return true;
+        if (!settings.nightMode) {
+            console.log('Always active mode');
+            return true;
+        }
+        
+        if (!isWithinSchedule(settings.schedule)) {
+            console.log('Schedule enabled but outside scheduled hours');
+            return false;
+        }
+        
+        console.log('Scheduled hours active');
+        return true;
+    }
+    
+    /**
+     * Split a comma, semicolon or whitespace separated list into lowercase entries
+     * @param {string} value - Raw list
+     * @returns {string[]} Entries
+     */
+    function parseAddressList(value) {
+        return String(value).toLowerCase().split(/[\s,;]+/).filter(Boolean);
+    }
+    
+    /**
+     * Check whether an address belongs to a domain or one of its subdomains
+     * @param {string} email - Recipient address
+     * @param {string} domain - Domain, with or without a leading @
+     * @returns {boolean} Whether the address is in the domain
+     */
+    function isInDomain(email, domain) {
+        const emailDomain = email.split('@').pop();
+        const bareDomain = domain.replace(/^@/, '');
+        return emailDomain === bareDomain || emailDomain.endsWith('.' + bareDomain);
+    }
+    
+    /**
+     * Check whether a single rule matches a set of recipients
+     * @param {Object} rule - Validated rule
+     * @param {Array<{email: string}>} recipients - Compose window recipients
+     * @returns {boolean} Whether the rule matches
+     */
+    function ruleMatches(rule, recipients) {
+        const emails = recipients.map(recipient => recipient.email);
+        
+        switch(rule.condition) {
+            case 'externalDomain': {
+                const domains = parseAddressList(rule.value);
+                return domains.length > 0 && emails.some(email => 
+                    !domains.some(domain => isInDomain(email, domain))
+                );
+            }
+            case 'watchList': {
+                const entries = parseAddressList(rule.value);
+                return emails.some(email => entries.some(entry => 
+                    entry.includes('@') && !entry.startsWith('@') ? email === entry : isInDomain(email, entry)
+                ));
+            }
+            case 'recipientCount':
+                return emails.length > rule.value;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Evaluate recipient rules in order; the first matching rule decides
+     * @param {Object} currentSettings - Current extension settings
+     * @param {Array<{email: string}>} recipients - Compose window recipients
+     * @returns {{challenge: boolean, numProblems: number}} Send decision
+     */
+    function evaluateRules(currentSettings, recipients) {
+        const rule = currentSettings.rules.find(candidate => ruleMatches(candidate, recipients));
+        
+        if (rule) {
+            console.log(`Rule matched: ${rule.condition} (${rule.value}) -> ${rule.action}`);
+            return { challenge: rule.action === 'challenge', numProblems: rule.numProblems };
+        }
+        
+        return {
+            challenge: currentSettings.rules.length === 0 || currentSettings.ruleFallback === 'challenge',
+            numProblems: currentSettings.numProblems
+        };
+    }
+    
+    /**
+     * Pick a random integer in an inclusive range
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    function randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+    
+    /**
+     * Resolve operand ranges and operators for the configured difficulty
+     * Each escalation step moves a preset up to the next one; steps past the
+     * hardest preset, or from a custom difficulty, widen the operand ranges.
+     * @param {Object} currentSettings - Current extension settings
+     * @param {number} [escalation] - Steps harder than configured, from adaptive mode
+     * @returns {Object} Difficulty profile
+     */
+    function getDifficultyProfile(currentSettings, escalation = 0) {
+        if (currentSettings.difficulty !== 'custom') {
+            const presets = Object.keys(EXTENSION_CONFIG.DIFFICULTY_PRESETS);
+            const configured = presets.indexOf(currentSettings.difficulty);
+            const start = configured >= 0 ? configured : presets.indexOf('medium');
+            const level = Math.min(start + escalation, presets.length - 1);
+            return escalateProfile(EXTENSION_CONFIG.DIFFICULTY_PRESETS[presets[level]], escalation - (level - start));
+        }
+        
+        const custom = currentSettings.customDifficulty;
+        const minFactor = Math.max(custom.minOperand, EXTENSION_CONFIG.MIN_FACTOR);
+        return escalateProfile({
+            minOperand: custom.minOperand,
+            maxOperand: custom.maxOperand,
+            minFactor,
+            maxFactor: Math.max(custom.maxOperand, minFactor),
+            operators: custom.operators,
+            allowNegative: custom.allowNegative,
+            multiStep: custom.multiStep
+        }, escalation);
+    }
+    
+    /**
+     * Widen a difficulty profile's operand ranges
+     * @param {Object} profile - Difficulty profile
+     * @param {number} steps - Escalation steps to apply
+     * @returns {Object} Harder profile, or the same profile for 0 steps
+     */
+    function escalateProfile(profile, steps) {
+        if (steps <= 0) {
+            return profile;
+        }
+        
+        const scale = Math.pow(EXTENSION_CONFIG.ESCALATION_SCALE, steps);
+        return {
+            ...profile,
+            maxOperand: Math.min(Math.max(Math.round(profile.maxOperand * scale), profile.minOperand), 999),
+            maxFactor: Math.min(Math.max(Math.round(profile.maxFactor * scale), profile.minFactor), 999),
+            multiStep: true
+        };
+    }
+    
+    /**
+     * Apply an arithmetic operator
+     * @param {string} operator - One of + - * /
+     * @param {number} a - Left operand
+     * @param {number} b - Right operand
+     * @returns {number} Result
+     */
+    function applyOperator(operator, a, b) {
+        switch(operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+        }
+    }
+    
+    /**
+     * Format an operand for the current locale, wrapping negatives in parentheses
+     * @param {number} operand - Number
+     * @returns {string} Formatted operand
+     */
+    function formatOperand(operand) {
+        return operand < 0 ? `(${formatNumber(operand)})` : formatNumber(operand);
+    }
+    
+    /**
+     * Format an operand the way a screen reader should say it
+     * @param {number} operand - Number
+     * @returns {string} Spoken operand, e.g. "negative 17"
+     */
+    function speakOperand(operand) {
+        return operand < 0 ? t('spokenNegative', formatNumber(-operand)) : formatNumber(operand);
+    }
+    
+    /**
+     * Read a translated list stored as one message
+     * @param {string} key - Message name
+     * @param {string} separator - Separator between entries
+     * @returns {string[]} Entries
+     */
+    function getMessageList(key, separator) {
+        return getMessage(key).split(separator).map(entry => entry.trim()).filter(Boolean);
+    }
+    
+    /**
+     * Generate a single binary operation for a difficulty profile
+     * Division always has an integer result.
+     * @param {Object} profile - Difficulty profile
+     * @param {string} operator - One of + - * /
+     * @returns {{question: string, spoken: string, answer: number}} Math problem object
+     */
+    function generateArithmeticStep(profile, operator) {
+        let a;
+        let b;
+        
+        switch(operator) {
+            case '+':
+            case '-':
+                a = randomInt(profile.minOperand, profile.maxOperand);
+                b = randomInt(profile.minOperand, profile.maxOperand);
+                if (operator === '-' && !profile.allowNegative && b > a) {
+                    [a, b] = [b, a];
+                }
+                break;
+            case '*':
+                a = randomInt(profile.minFactor, profile.maxFactor);
+                b = randomInt(profile.minFactor, profile.maxFactor);
+                break;
+            case '/':
+                b = randomInt(Math.max(profile.minFactor, 1), Math.max(profile.maxFactor, 1));
+                a = b * randomInt(profile.minFactor, profile.maxFactor);
+                break;
+        }
+        
+        if (profile.allowNegative && operator !== '-' && Math.random() < 0.3) {
+            b = -b;
+        }
+        
+        return {
+            question: `${formatOperand(a)} ${EXTENSION_CONFIG.OPERATOR_SYMBOLS[operator]} ${formatOperand(b)}`,
+            spoken: t(EXTENSION_CONFIG.OPERATOR_MESSAGES[operator], [speakOperand(a), speakOperand(b)]),
+            answer: applyOperator(operator, a, b)
+        };
+    }
+    
+    /**
+     * Generate a random math problem for the configured difficulty
+     * Multi-step problems combine two operations, e.g. (a + b) × c.
+     * @param {Object} currentSettings - Current extension settings
+     * @param {number} [escalation] - Steps harder than configured, from adaptive mode
+     * @returns {{question: string, spoken: string, answer: number}} Math problem object
+     */
+    function generateMathProblem(currentSettings, escalation = 0) {
+        const profile = getDifficultyProfile(currentSettings, escalation);
+        const inner = generateArithmeticStep(profile, randomItem(profile.operators));
+        
+        if (!profile.multiStep) {
+            return inner;
+        }
+        
+        let operator = randomItem(profile.operators);
+        let c;
+        
+        if (operator === '/') {
+            const divisors = [];
+            for (let d = Math.max(profile.minFactor, 2); d <= profile.maxFactor; d++) {
+                if (inner.answer !== 0 && inner.answer % d === 0) {
+                    divisors.push(d);
+                }
+            }
+            const fallbacks = profile.operators.filter(op => op !== '/');
+            if (divisors.length > 0) {
+                c = randomItem(divisors);
+            } else if (fallbacks.length > 0) {
+                operator = randomItem(fallbacks);
+            } else {
+                c = 1;
+            }
+        }
+        
+        if (operator === '*') {
+            c = randomInt(profile.minFactor, profile.maxFactor);
+        } else if (operator === '+' || operator === '-') {
+            c = randomInt(profile.minOperand, profile.maxOperand);
+            if (operator === '-' && !profile.allowNegative) {
+                c = Math.min(c, Math.max(inner.answer, 0));
+            }
+        }
+        
+        return {
+            question: `(${inner.question}) ${EXTENSION_CONFIG.OPERATOR_SYMBOLS[operator]} ${formatOperand(c)}`,
+            spoken: t(EXTENSION_CONFIG.OPERATOR_MESSAGES[operator], [t('spokenGrouped', inner.spoken), speakOperand(c)]),
+            answer: applyOperator(operator, inner.answer, c)
+        };
+    }
+    
+    /**
+     * Pick a random element of an array
+     * @param {Array} items - Items to choose from
+     * @returns {*} Random item
+     */
+    function randomItem(items) {
+        return items[Math.floor(Math.random() * items.length)];
+    }
+    
+    /**
+     * Shuffle the letters of a word until they differ from the original
+     * @param {string} word - Word to scramble
+     * @returns {string} Scrambled word
+     */
+    function scrambleWord(word) {
+        let scrambled = word;
+        
+        while (scrambled === word) {
+            const letters = word.split('');
+            for (let i = letters.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [letters[i], letters[j]] = [letters[j], letters[i]];
+            }
+            scrambled = letters.join('');
+        }
+        
+        return scrambled;
+    }
+    
+    /**
+     * Normalize free-text answers: trim, collapse whitespace, lowercase
+     * @param {string} value - Raw input value
+     * @returns {string} Normalized value
+     */
+    function normalizeAnswer(value) {
+        return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+    
+    /**
+     * Create an element that is read by screen readers but not shown
+     * @param {string} [text] - Text content
+     * @returns {HTMLSpanElement} Visually hidden element
+     */
+    function createScreenReaderText(text = '') {
+        const span = document.createElement('span');
+        span.className = 'sr-only';
+        span.textContent = text;
+        return span;
+    }
+    
+    /**
+     * Show a question with separate wording for screen readers
+     * Used where the visible text uses symbols or layout that reads badly aloud.
+     * @param {HTMLElement} questionDiv - Question element
+     * @param {string} text - Visible text
+     * @param {string} spokenText - Text for screen readers
+     */
+    function setQuestionText(questionDiv, text, spokenText) {
+        const visible = document.createElement('span');
+        visible.textContent = text;
+        visible.setAttribute('aria-hidden', 'true');
+        
+        questionDiv.textContent = '';
+        questionDiv.appendChild(visible);
+        questionDiv.appendChild(createScreenReaderText(spokenText));
+    }
+    
+    /**
+     * Read the subject and the newly written body text of a compose window
+     * Quoted text from earlier messages in the thread is left out, and line
+     * breaks and paragraphs become newlines.
+     * @param {Element} root - Compose window root
+     * @returns {{subject: string, body: string}} Draft text
+     */
+    function getComposeText(root) {
+        const subjectInput = root.querySelector(site.subjectSelectors.join(','));
+        const editor = root.querySelector(site.composeBodySelectors.join(','));
+        let body = '';
+        
+        if (editor) {
+            const copy = editor.cloneNode(true);
+            copy.querySelectorAll(site.quotedTextSelectors.join(',')).forEach(quote => quote.remove());
+            copy.querySelectorAll(EXTENSION_CONFIG.LINE_BREAK_SELECTOR).forEach(element => element.after('\n'));
+            body = copy.textContent;
+        }
+        
+        return {
+            subject: subjectInput ? subjectInput.value : '',
+            body
+        };
+    }
+    
+    /**
+     * Get the first lines of a draft body for the cooling-off screen
+     * @param {string} body - Body text from getComposeText()
+     * @returns {string[]} Up to PREVIEW_LINES non-empty lines, long ones shortened
+     */
+    function getBodyPreview(body) {
+        return body.split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(line => line.length > 0)
+            .slice(0, EXTENSION_CONFIG.PREVIEW_LINES)
+            .map(line => line.length > EXTENSION_CONFIG.PREVIEW_LINE_LENGTH
+                ? line.slice(0, EXTENSION_CONFIG.PREVIEW_LINE_LENGTH - 1) + '…'
+                : line);
+    }
+    
+    /**
+     * Scan a compose window for risky content. Runs entirely in the page:
+     * the draft text is never stored or sent anywhere.
+     * @param {Element|null} root - Compose window root
+     * @returns {string[]} Descriptions of the triggers that fired
+     */
+    function detectContentTriggers(root) {
+        const triggers = settings.contentTriggers;
+        if (!triggers.enabled || !root) {
+            return [];
+        }
+        
+        const { subject, body } = getComposeText(root);
+        const text = `${subject}\n${body}`;
+        const lowerText = text.toLowerCase();
+        const fired = [];
+        
+        const keywords = triggers.keywords.toLowerCase().split(/[,\n]+/).map(k => k.trim()).filter(Boolean);
+        const matched = keywords.filter(keyword => lowerText.includes(keyword));
+        if (matched.length > 0) {
+            fired.push(t('triggerKeywords', matched.map(keyword => `"${keyword}"`).join(', ')));
+        }
+        
+        if (triggers.capsRatio > 0) {
+            const letters = text.match(/[a-z]/gi) || [];
+            const capitals = text.match(/[A-Z]/g) || [];
+            const ratio = letters.length > 0 ? Math.round(capitals.length / letters.length * 100) : 0;
+            if (letters.length >= EXTENSION_CONFIG.CAPS_MIN_LETTERS && ratio >= triggers.capsRatio) {
+                fired.push(t('triggerCaps', formatNumber(ratio)));
+            }
+        }
+        
+        if (triggers.exclamationCount > 0) {
+            const exclamations = (text.match(/!/g) || []).length;
+            if (exclamations >= triggers.exclamationCount) {
+                fired.push(tPlural('triggerExclamations', exclamations));
+            }
+        }
+        
+        if (triggers.missingAttachment) {
+            const attachmentWords = EXTENSION_CONFIG.ATTACHMENT_WORDS.concat(getMessageList('attachmentWords', ','));
+            const mentionsAttachment = attachmentWords.some(word => lowerText.includes(word.toLowerCase()));
+            const hasAttachment = root.querySelector(site.attachmentSelectors.join(',')) !== null;
+            if (mentionsAttachment && !hasAttachment) {
+                fired.push(t('triggerAttachment'));
+            }
+        }
+        
+        return fired;
+    }
+    
+    /**
+     * Challenge providers. Each provider implements:
+     *   generate(context, settings) -> problem object ({ question, answer, ... })
+     *   render(problem, questionDiv, input) -> fills in the prompt and configures the answer input
+     *   validate(problem, value) -> whether the input value solves the problem
+     * and may implement isAvailable(context) when it depends on the compose window,
+     * or set blockPaste when the answer is shown on screen.
+     * The context is { recipients } for the compose window being sent.
+     */
+    const CHALLENGE_PROVIDERS = {
+        arithmetic: {
+            label: 'Arithmetic',
+            generate: function(context, currentSettings, escalation) {
+                return generateMathProblem(currentSettings, escalation);
+            },
+            render: function(problem, questionDiv, input) {
+                setQuestionText(questionDiv, `${problem.question} = ?`, t('spokenQuestion', problem.spoken));
+                questionDiv.dir = 'ltr';
+                input.type = 'text';
+                input.inputMode = 'numeric';
+                input.dir = 'ltr';
+                input.placeholder = t('answerPlaceholder');
+                input.className = 'answer short';
+            },
+            validate: function(problem, value) {
+                return parseLocaleNumber(value) === problem.answer;
+            }
+        },
+        
+        phrase: {
+            label: 'Retype a phrase',
+            blockPaste: true,
+            generate: function() {
+                const phrase = randomItem(getMessageList('challengePhrases', '|'));
+                return { question: phrase, answer: phrase };
+            },
+            render: function(problem, questionDiv, input) {
+                questionDiv.textContent = `“${problem.question}”`;
+                input.type = 'text';
+                input.placeholder = t('phrasePlaceholder');
+                input.className = 'answer wide';
+            },
+            validate: function(problem, value) {
+                return normalizeAnswer(value) === normalizeAnswer(problem.answer);
+            }
+        },
+        
+        recipient: {
+            label: 'Recipient address',
+            blockPaste: true,
+            isAvailable: function(context) {
+                return context.recipients.length > 0;
+            },
+            generate: function(context) {
+                const recipient = randomItem(context.recipients);
+                const [local, domain] = recipient.email.split('@');
+                const hint = recipient.name || `${local.charAt(0)}${'•'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+                return { question: hint, answer: recipient.email };
+            },
+            render: function(problem, questionDiv, input) {
+                questionDiv.textContent = t('recipientQuestion', problem.question);
+                input.type = 'text';
+                input.dir = 'ltr';
+                input.placeholder = 'name@example.com';
+                input.className = 'answer wide';
+            },
+            validate: function(problem, value) {
+                return normalizeAnswer(value) === problem.answer;
+            }
+        },
+        
+        memory: {
+            label: 'Memory sequence',
+            generate: function() {
+                const symbols = 'ACEFHJKLMNPRTUVWXY3479';
+                let sequence = '';
+                for (let i = 0; i < EXTENSION_CONFIG.MEMORY_SEQUENCE_LENGTH; i++) {
+                    sequence += randomItem(symbols);
+                }
+                return { question: sequence.split('').join(' '), answer: sequence };
+            },
+            render: function(problem, questionDiv, input) {
+                questionDiv.textContent = problem.question;
+                input.type = 'text';
+                input.dir = 'ltr';
+                input.placeholder = t('memorizePlaceholder');
+                input.className = 'answer medium';
+                input.disabled = true;
+                
+                questionDiv.memoryTimeout = setTimeout(function() {
+                    questionDiv.textContent = t('memoryPrompt');
+                    input.placeholder = t('sequencePlaceholder');
+                    input.disabled = false;
+                }, EXTENSION_CONFIG.MEMORY_DISPLAY_TIME);
+            },
+            validate: function(problem, value) {
+                return normalizeAnswer(value).replace(/ /g, '') === problem.answer.toLowerCase();
+            }
+        },
+        
+        unscramble: {
+            label: 'Word unscramble',
+            generate: function() {
+                const word = randomItem(getMessageList('unscrambleWords', ','));
+                return { question: scrambleWord(word).toUpperCase(), answer: word };
+            },
+            render: function(problem, questionDiv, input) {
+                setQuestionText(
+                    questionDiv,
+                    t('unscrambleQuestion', problem.question),
+                    t('unscrambleSpoken', problem.question.split('').join(', '))
+                );
+                input.type = 'text';
+                input.placeholder = t('wordPlaceholder');
+                input.className = 'answer medium';
+            },
+            validate: function(problem, value) {
+                return normalizeAnswer(value) === problem.answer;
+            }
+        }
+    };
+    
+    /**
+     * Choose a challenge provider according to settings
+     * A single configured provider that cannot run for this compose window
+     * (e.g. no recipients yet) falls back to arithmetic.
+     * @param {Object} currentSettings - Current extension settings
+     * @param {Object} context - Challenge context ({ recipients })
+     * @returns {string} Provider id
+     */
+    function pickChallengeType(currentSettings, context) {
+        const isAvailable = type => !CHALLENGE_PROVIDERS[type].isAvailable || CHALLENGE_PROVIDERS[type].isAvailable(context);
+        
+        if (currentSettings.challengeType !== 'mix') {
+            return isAvailable(currentSettings.challengeType) ? currentSettings.challengeType : 'arithmetic';
+        }
+        
+        const weighted = Object.keys(CHALLENGE_PROVIDERS).filter(type => 
+            isAvailable(type) && currentSettings.challengeWeights[type] > 0
+        );
+        const total = weighted.reduce((sum, type) => sum + currentSettings.challengeWeights[type], 0);
+        
+        let roll = Math.random() * total;
+        for (const type of weighted) {
+            roll -= currentSettings.challengeWeights[type];
+            if (roll < 0) {
+                return type;
+            }
+        }
+        
+        return 'arithmetic';
+    }
+    
+    /**
+     * Generate a problem from the configured provider(s)
+     * Only arithmetic problems have a difficulty to escalate; other providers
+     * just produce a fresh problem.
+     * @param {Object} currentSettings - Current extension settings
+     * @param {Object} context - Challenge context ({ recipients })
+     * @param {number} [escalation] - Steps harder than configured, from adaptive mode
+     * @returns {Object} Problem object tagged with its provider type
+     */
+    function generateChallenge(currentSettings, context, escalation = 0) {
+        const type = pickChallengeType(currentSettings, context);
+        return { type, ...CHALLENGE_PROVIDERS[type].generate(context, currentSettings, escalation) };
+    }
+    
+    /**
+     * Check an answer against its problem's provider
+     * @param {Object} problem - Problem object
+     * @param {string} value - Raw input value
+     * @returns {boolean} Whether the answer is correct
+     */
+    function isCorrectAnswer(problem, value) {
+        return value !== '' && CHALLENGE_PROVIDERS[problem.type].validate(problem, value);
+    }
+    
+    /**
+     * Record a challenge event in the local history
+     * @param {string} type - One of HISTORY_CONFIG.EVENT_TYPES
+     * @param {Object} [details] - Extra fields, e.g. solveMs
+     */
+    function recordChallengeEvent(type, details = {}) {
+        appendHistoryEvent({ type, time: Date.now(), ...details }, settings.historyRetentionDays);
+    }
+    
+    /**
+     * Check whether an element is detected as a send button (sites.js)
+     * @param {Element} button - Candidate element
+     * @returns {boolean} Whether the detection confidence reaches the threshold
+     */
+    function isSendButton(button) {
+        return detectSendButton(button, site).confidence >= SITES_CONFIG.DETECTION_THRESHOLD;
+    }
+    
+    /**
+     * Check whether a button is a visible send button
+     * @param {Element} button - Candidate element
+     * @returns {boolean} Whether the element is a visible send button
+     */
+    function isVisibleSendButton(button) {
+        return isSendButton(button) && button.offsetParent !== null;
+    }
+    
+    /**
+     * Find the compose window root containing an element
+     * @param {Element} element - Element inside a compose window
+     * @returns {Element|null} Compose window root, if any
+     */
+    function findComposeWindowOf(element) {
+        for (const selector of site.composeWindowSelectors) {
+            const root = element.closest(selector);
+            if (root) {
+                return root;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check whether an element is a compose window root with an editor
+     * @param {Element|null} root - Candidate root
+     * @returns {boolean} Whether the root holds a compose input
+     */
+    function hasComposeInput(root) {
+        return Boolean(root) && root.querySelector(site.composeInputSelectors.join(',')) !== null;
+    }
+    
+    /**
+     * Find the compose window an element belongs to
+     * Send menus and the schedule send dialog open outside the compose window,
+     * so controls there belong to the compose window the user last worked in.
+     * @param {Element} element - Element inside or opened from a compose window
+     * @returns {Element|null} Compose window root, if any
+     */
+    function findComposeRoot(element) {
+        const root = findComposeWindowOf(element);
+        
+        if (!hasComposeInput(root) && activeComposeRoot && activeComposeRoot.isConnected) {
+            return activeComposeRoot;
+        }
+        return root;
+    }
+    
+    /**
+     * Remember the compose window the user is working in
+     * @param {Event} event - Focus or pointer event captured at the window
+     */
+    function trackActiveCompose(event) {
+        if (!event.target.closest) {
+            return;
+        }
+        
+        const root = findComposeWindowOf(event.target);
+        if (hasComposeInput(root)) {
+            activeComposeRoot = root;
+        }
+    }
+    
+    /**
+     * Find the send button belonging to the compose window of an element
+     * @param {Element} element - Element inside a compose window
+     * @returns {Element|null} Visible send button of that compose window, if any
+     */
+    function findComposeSendButton(element) {
+        const root = findComposeRoot(element);
+        const entry = root && composeRegistry.get(root);
+        
+        if (entry) {
+            const button = Array.from(entry.buttons.keys()).find(isVisibleSendButton);
+            if (button) {
+                return button;
+            }
+        }
+        
+        // Fall back to the nearest ancestor that holds a send button
+        let container = element.parentElement;
+        
+        while (container && container !== document.body) {
+            for (const selector of site.sendButtonSelectors) {
+                const button = Array.from(container.querySelectorAll(selector)).find(isVisibleSendButton);
+                if (button) {
+                    return button;
+                }
+            }
+            container = container.parentElement;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get what an authorized send is scoped to: the compose window of an
+     * element, or the element itself when it is outside any compose window
+     * @param {Element} element - Send control or compose input
+     * @returns {Element} Scope element
+     */
+    function getSendScope(element) {
+        return findComposeRoot(element) || element;
+    }
+    
+    /**
+     * Authorize exactly one send from the compose window of an element
+     * @param {Element} element - Send control or compose input the send will come from
+     * @param {string} path - Send path being replayed
+     */
+    function authorizeSend(element, path) {
+        const token = { id: ++sendTokenCounter, path };
+        authorizedSends.set(getSendScope(element), token);
+        console.log(`Send token #${token.id} issued (${path})`);
+    }
+    
+    /**
+     * Take the authorized send of an element's compose window, if it has one
+     * The token is removed as it is read, so it lets exactly one send through.
+     * @param {Element} element - Send control or compose input
+     * @returns {Object|null} Consumed token ({ id, path }), or null
+     */
+    function consumeAuthorizedSend(element) {
+        const scope = getSendScope(element);
+        const token = authorizedSends.get(scope) || null;
+        
+        if (token) {
+            authorizedSends.delete(scope);
+        }
+        return token;
+    }
+    
+    /**
+     * Stop a send event before the site sees it
+     * @param {Event} event - Click or keydown event
+     */
+    function blockSend(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        event.stopImmediatePropagation();
+    }
+    
+    /**
+     * Replay a send after the challenge has been passed
+     * The replayed event carries a one-shot token for its compose window only;
+     * any token the replay did not use is withdrawn right after dispatch.
+     * @param {Element|null} button - Send control to click
+     * @param {Element|null} editor - Compose input to re-send the shortcut from when no button is found
+     * @param {string} path - Send path being replayed
+     */
+    function replaySend(button, editor, path) {
+        const target = button || editor;
+        if (!target) {
+            reportFailedReplay(null, path);
+            return;
+        }
+        
+        const root = findComposeRoot(target);
+        authorizeSend(target, path);
+        
+        if (button) {
+            button.click();
+        } else {
+            console.log('No send button found - replaying keyboard shortcut');
+            editor.dispatchEvent(new KeyboardEvent('keydown', {
+                ...SITES_CONFIG.REPLAY_SHORTCUT,
+                bubbles: true,
+                cancelable: true
+            }));
+        }
+        
+        const unused = consumeAuthorizedSend(target);
+        if (unused) {
+            console.warn(`Send token #${unused.id} was not used by the replay and has been withdrawn`);
+        }
+        
+        verifyReplay(root, path);
+    }
+    
+    /**
+     * Watch a compose window after a replayed send and report the send as
+     * failed if the window is still open with its editor when time runs out
+     * @param {Element|null} root - Compose window root
+     * @param {string} path - Send path that was replayed
+     */
+    function verifyReplay(root, path) {
+        if (!hasComposeInput(root)) {
+            console.log(`Replayed ${path}: no compose window to watch`);
+            return;
+        }
+        
+        const deadline = Date.now() + EXTENSION_CONFIG.REPLAY_VERIFY_TIMEOUT;
+        const check = setInterval(function() {
+            if (!root.isConnected || !hasComposeInput(root)) {
+                clearInterval(check);
+                console.log(`Replayed ${path}: compose window closed, message sent`);
+            } else if (Date.now() >= deadline) {
+                clearInterval(check);
+                reportFailedReplay(root, path);
+            }
+        }, EXTENSION_CONFIG.REPLAY_VERIFY_INTERVAL);
+    }
+    
+    /**
+     * Tell the user that a send they passed the challenge for did not go out
+     * @param {Element|null} root - Compose window root, if known
+     * @param {string} path - Send path that was replayed
+     */
+    function reportFailedReplay(root, path) {
+        const messages = EXTENSION_CONFIG.SEND_PATH_MESSAGES[path] || EXTENSION_CONFIG.SEND_PATH_MESSAGES.send;
+        
+        console.warn(`Replayed ${path} did not send the message`);
+        recordChallengeEvent('sendFailed', { path });
+        showWarningToast('gadi-send-failed-warning', t('sendFailed', t(messages.label)));
+        
+        if (root) {
+            focusCompose(root);
+        }
+    }
+    
+    /**
+     * Return focus to the compose window containing an element
+     * @param {Element} element - Send button or compose input
+     */
+    function focusCompose(element) {
+        const root = findComposeRoot(element);
+        const editor = element.matches(site.composeInputSelectors.join(','))
+            ? element
+            : root && root.querySelector(site.composeInputSelectors.join(','));
+        
+        if (editor) {
+            editor.focus();
+        }
+    }
+    
+    /**
+     * Fetch the challenge stylesheet once, so every shadow root can inline it
+     * without waiting on a network request
+     */
+    function loadChallengeStyles() {
+        try {
+            fetch(chrome.runtime.getURL(EXTENSION_CONFIG.STYLESHEET))
+                .then(response => response.text())
+                .then(function(css) {
+                    challengeStyles = css;
+                })
+                .catch(error => console.error('Challenge stylesheet load failed:', error));
+        } catch (error) {
+            console.error('Challenge stylesheet load failed:', error);
+        }
+    }
+    
+    /**
+     * Check whether the mail site is showing a dark theme
+     * @returns {boolean|null} Whether the page is dark, or null when it cannot tell
+     */
+    function isPageDark() {
+        for (const selector of site.themeProbeSelectors) {
+            const element = document.querySelector(selector);
+            if (!element) {
+                continue;
+            }
+            
+            const match = getComputedStyle(element).backgroundColor.match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+            if (!match || match[4] === '0') {
+                continue;
+            }
+            
+            const [r, g, b] = match.slice(1, 4).map(channel => parseFloat(channel) / 255);
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b < EXTENSION_CONFIG.DARK_LUMINANCE;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Resolve the theme setting to the theme to draw with
+     * "auto" follows forced colors or a contrast preference first, then
+     * the mail site's own theme, then the system color scheme.
+     * @param {string} theme - Theme setting
+     * @returns {string} 'light', 'dark' or 'high-contrast'
+     */
+    function resolveTheme(theme) {
+        if (theme !== 'auto') {
+            return theme;
+        }
+        
+        const matches = query => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+        
+        if (matches('(forced-colors: active)') || matches('(prefers-contrast: more)')) {
+            return 'high-contrast';
+        }
+        
+        const pageDark = isPageDark();
+        if (pageDark !== null) {
+            return pageDark ? 'dark' : 'light';
+        }
+        
+        return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+    }
+    
+    /**
+     * Create a host element with a closed shadow root holding the challenge
+     * stylesheet and a themed container
+     * @param {string} id - Host element id
+     * @returns {{host: HTMLElement, root: ShadowRoot, container: HTMLElement}} Host, shadow root and container
+     */
+    function createShadowContainer(id) {
+        const existing = document.getElementById(id);
+        if (existing) {
+            existing.remove();
+        }
+        
+        const host = document.createElement('div');
+        host.id = id;
+        const root = host.attachShadow({ mode: 'closed' });
+        
+        if (challengeStyles !== null) {
+            const style = document.createElement('style');
+            style.textContent = challengeStyles;
+            root.appendChild(style);
+        } else {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = chrome.runtime.getURL(EXTENSION_CONFIG.STYLESHEET);
+            root.appendChild(link);
+        }
+        
+        const container = document.createElement('div');
+        container.className = `theme-${resolveTheme(settings.theme)}`;
+        container.lang = getLocale();
+        container.dir = getTextDirection();
+        root.appendChild(container);
+        
+        return { host, root, container };
+    }
+    
+    /**
+     * Show a cancellable countdown toast before the send is replayed
+     * @param {number} seconds - Hold length
+     * @param {string} path - Send path that was intercepted, e.g. 'scheduleSend'
+     * @param {Function} onSend - Called when the countdown ends
+     * @param {Function} onCancel - Called when the user cancels
+     */
+    function showHoldToast(seconds, path, onSend, onCancel) {
+        const messages = EXTENSION_CONFIG.SEND_PATH_MESSAGES[path] || EXTENSION_CONFIG.SEND_PATH_MESSAGES.send;
+        let remaining = seconds;
+        
+        const { host, container: toast } = createShadowContainer(`gadi-hold-toast-${++holdCounter}`);
+        toast.classList.add('toast');
+        toast.setAttribute('role', 'status');
+        
+        const pathLabel = document.createElement('span');
+        pathLabel.className = 'toast-path';
+        pathLabel.textContent = t('interceptedPath', t(messages.label));
+        
+        const message = document.createElement('span');
+        message.textContent = t(messages.countdown, formatNumber(remaining));
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'link';
+        cancelBtn.textContent = t('cancel');
+        
+        toast.appendChild(pathLabel);
+        toast.appendChild(message);
+        toast.appendChild(cancelBtn);
+        document.body.appendChild(host);
+        
+        const countdown = setInterval(function() {
+            remaining--;
+            message.textContent = t(messages.countdown, formatNumber(remaining));
+            
+            if (remaining <= 0) {
+                clearInterval(countdown);
+                host.remove();
+                onSend();
+            }
+        }, 1000);
+        
+        cancelBtn.addEventListener('click', function() {
+            clearInterval(countdown);
+            host.remove();
+            onCancel();
+        });
+    }
+    
+    /**
+     * Send right away, or hold the message first when hold mode is on
+     * @param {Element} element - Send button or compose input the send came from
+     * @param {string} path - Send path that was intercepted
+     * @param {Function} send - Replays the send
+     */
+    function holdThenSend(element, path, send) {
+        if (settings.holdSeconds <= 0) {
+            send();
+            return;
+        }
+        
+        console.log(`Holding message for ${settings.holdSeconds}s (${path})`);
+        
+        showHoldToast(settings.holdSeconds, path, send, function() {
+            console.log('Held send cancelled');
+            recordChallengeEvent('abandoned', { stage: 'hold' });
+            focusCompose(element);
+        });
+    }
+    
+    /**
+     * Intercept keyboard sends from compose editors (inline reply, pop-out and full-screen)
+     * Runs synchronously on cached settings, since the site acts on the keydown before any
+     * storage round-trip could finish; the storage listener keeps those settings fresh.
+     * @param {KeyboardEvent} event - Keydown event captured at the window
+     */
+    function handleComposeKeydown(event) {
+        if (!site.isSendShortcut(event) || !event.target.closest) {
+            return;
+        }
+        
+        const editor = event.target.closest(site.composeInputSelectors.join(','));
+        if (!editor) {
+            return;
+        }
+        
+        const token = consumeAuthorizedSend(editor);
+        if (token) {
+            console.log(`Send token #${token.id} used - allowing keyboard send`);
+            recordSend();
+            return;
+        }
+        
+        // This draft already has a challenge on screen or waiting
+        if (hasPendingChallenge(editor)) {
+            blockSend(event);
+            return;
+        }
+        
+        const decision = decideChallenge(editor, 'shortcut');
+        if (!decision) {
+            console.log('No challenge needed, allowing keyboard send');
+            recordSend();
+            return;
+        }
+        
+        console.log('Intercepting keyboard send');
+        blockSend(event);
+        
+        requestChallenge(editor, decision, function() {
+            console.log('Challenge passed - sending email');
+            holdThenSend(editor, 'shortcut', function() {
+                replaySend(findComposeSendButton(editor), editor, 'shortcut');
+            });
+        });
+    }
+    
+    /**
+     * Create the capturing click handler that guards a send control
+     * Decides synchronously on cached settings, like the keyboard handler:
+     * the click must be stopped before it returns.
+     * @param {Element} button - Send control to guard
+     * @param {string} path - Send path the control commits through, e.g. 'send' or 'scheduleSend'
+     * @returns {Function} Click handler
+     */
+    function createSendClickHandler(button, path) {
+        return function(event) {
+            const token = consumeAuthorizedSend(button);
+            if (token) {
+                console.log(`Send token #${token.id} used - allowing ${path}`);
+                recordSend();
+                return;
+            }
+            
+            // This draft already has a challenge on screen or waiting
+            if (hasPendingChallenge(button)) {
+                blockSend(event);
+                return;
+            }
+            
+            const decision = decideChallenge(button, path);
+            if (!decision) {
+                console.log('No challenge needed, allowing email to send');
+                recordSend();
+                return;
+            }
+            
+            console.log(`Intercepting email send (${path})`);
+            blockSend(event);
+            
+            requestChallenge(button, decision, function() {
+                console.log('Challenge passed - sending email');
+                holdThenSend(button, path, function() {
+                    replaySend(button, null, path);
+                });
+            });
+        };
+    }
+    
+    /**
+     * Check whether the draft of an element has a challenge on screen or queued
+     * @param {Element} element - Send control or compose input
+     * @returns {boolean} Whether a challenge is pending for the draft
+     */
+    function hasPendingChallenge(element) {
+        return pendingChallenges.has(getSendScope(element));
+    }
+    
+    /**
+     * Queue a challenge for a draft; it is shown right away when no other
+     * challenge is on screen
+     * @param {Element} element - Send control or compose input the send came from
+     * @param {{numProblems: number, context: Object}} decision - Challenge to show
+     * @param {Function} onPass - Called when the challenge is passed
+     */
+    function requestChallenge(element, decision, onPass) {
+        const challenge = {
+            id: ++challengeCounter,
+            scope: getSendScope(element),
+            decision,
+            onPass,
+            modal: null
+        };
+        
+        pendingChallenges.set(challenge.scope, challenge);
+        challengeQueue.push(challenge);
+        
+        if (openChallenge) {
+            console.log(`Challenge #${challenge.id} queued behind #${openChallenge.id}`);
+            openChallenge.modal.setWaiting(challengeQueue.length);
+        } else {
+            showNextChallenge();
+        }
+    }
+    
+    /**
+     * Show a practice challenge that sends nothing, asked for from the popup or
+     * the toolbar button's menu
+     * Drafts sent meanwhile queue behind it as usual.
+     * @param {Object} practiceSettings - Settings to practice with
+     * @returns {boolean} Whether the challenge was shown
+     */
+    function showPracticeChallenge(practiceSettings) {
+        if (openChallenge) {
+            console.log('Practice skipped: a challenge is already on screen');
+            return false;
+        }
+        
+        const challenge = { id: ++challengeCounter, modal: null };
+        const context = {
+            recipients: [],
+            triggers: [],
+            subject: t('practiceSubject'),
+            bodyPreview: [],
+            path: 'send',
+            burstSends: 0
+        };
+        
+        openChallenge = challenge;
+        challenge.modal = showMathChallenge(practiceSettings, context, {
+            id: challenge.id,
+            practice: true,
+            onSuccess: function() {
+                console.log('Practice challenge passed');
+            },
+            onClose: showNextChallenge
+        });
+        return true;
+    }
+    
+    /**
+     * Show the oldest queued challenge whose draft is still open
+     */
+    function showNextChallenge() {
+        openChallenge = null;
+        
+        while (challengeQueue.length > 0) {
+            const challenge = challengeQueue.shift();
+            
+            // A draft that was closed while it waited no longer needs its challenge
+            if (!challenge.scope.isConnected) {
+                console.log(`Dropping challenge #${challenge.id}: its draft was closed`);
+                pendingChallenges.delete(challenge.scope);
+                continue;
+            }
+            
+            // A pause started from the challenge before lets waiting drafts through too
+            if (isChallengePaused()) {
+                console.log(`Skipping challenge #${challenge.id}: challenges are paused`);
+                recordChallengeEvent('bypassed', { path: challenge.decision.context.path });
+                pendingChallenges.delete(challenge.scope);
+                challenge.onPass();
+                continue;
+            }
+            
+            openChallenge = challenge;
+            challenge.modal = showMathChallenge(
+                { ...settings, numProblems: challenge.decision.numProblems },
+                challenge.decision.context,
+                {
+                    id: challenge.id,
+                    onSuccess: challenge.onPass,
+                    onClose: function() {
+                        pendingChallenges.delete(challenge.scope);
+                        showNextChallenge();
+                    }
+                }
+            );
+            challenge.modal.setWaiting(challengeQueue.length);
+            return;
+        }
+    }
+    
+    /**
+     * Register a compose window, or return its existing registry entry
+     * @param {Element} root - Compose window root
+     * @returns {Object} Registry entry
+     */
+    function registerCompose(root) {
+        let entry = composeRegistry.get(root);
+        
+        if (!entry) {
+            entry = {
+                id: ++composeCounter,
+                openedAt: Date.now(),
+                buttons: new Map()
+            };
+            composeRegistry.set(root, entry);
+            console.log(`Compose window #${entry.id} opened`);
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Remove a send button's guard
+     * @param {Object} entry - Registry entry owning the button
+     * @param {Element} button - Guarded send button
+     */
+    function unprotectSendButton(entry, button) {
+        button.removeEventListener('click', entry.buttons.get(button).handler, true);
+        delete button.dataset.gadiProtected;
+        entry.buttons.delete(button);
+    }
+    
+    /**
+     * Drop a compose window from the registry and release its listeners
+     * @param {Element} root - Compose window root
+     */
+    function unregisterCompose(root) {
+        const entry = composeRegistry.get(root);
+        if (!entry) {
+            return;
+        }
+        
+        Array.from(entry.buttons.keys()).forEach(button => unprotectSendButton(entry, button));
+        composeRegistry.delete(root);
+        console.log(`Compose window #${entry.id} closed`);
+    }
+    
+    /**
+     * Attach protection to a send button and record it on its compose window
+     * @param {Element} button - Candidate send button
+     */
+    function protectSendButton(button) {
+        // Visibility is not required here: compose windows often render their
+        // send button hidden and reveal it without any DOM insertion
+        if (button.dataset.gadiProtected) {
+            return;
+        }
+        
+        const detection = detectSendControl(button, site);
+        if (!detection) {
+            return;
+        }
+        
+        const root = findComposeRoot(button) || button.parentElement;
+        if (!root) {
+            return;
+        }
+        
+        const entry = registerCompose(root);
+        const handler = createSendClickHandler(button, detection.path);
+        
+        button.dataset.gadiProtected = 'true';
+        button.addEventListener('click', handler, true);
+        entry.buttons.set(button, { handler, detection });
+        
+        console.log(`Protecting ${detection.path} control in compose window #${entry.id} (${detection.strategy}, confidence ${detection.confidence}):`, button.textContent.trim());
+    }
+    
+    /**
+     * Collect the elements of a subtree that could be send controls: the site's
+     * send button and send path selectors plus every button and menu item, so
+     * the detector can still find a send control after the site changes its markup
+     * @param {Element} node - Subtree root to search
+     * @returns {Set<Element>} Candidate elements
+     */
+    function findSendCandidates(node) {
+        const selectors = getSendControlSelectors(site).concat(SITES_CONFIG.CANDIDATE_SELECTOR).join(',');
+        const inputSelectors = site.composeInputSelectors.join(',');
+        const candidates = new Set(node.matches(selectors) ? [node] : []);
+        
+        node.querySelectorAll(selectors).forEach(candidate => candidates.add(candidate));
+        
+        // An editor added on its own still needs the buttons of its compose
+        // window, which are scanned once rather than on every later mutation
+        const inputs = Array.from(node.querySelectorAll(inputSelectors));
+        if (node.matches(inputSelectors)) {
+            inputs.push(node);
+        }
+        inputs.forEach(function(input) {
+            const root = findComposeRoot(input);
+            if (root && !node.contains(root) && !scannedComposeRoots.has(root)) {
+                scannedComposeRoots.add(root);
+                root.querySelectorAll(selectors).forEach(candidate => candidates.add(candidate));
+            }
+        });
+        
+        return candidates;
+    }
+    
+    /**
+     * Find and protect send buttons in a subtree
+     * @param {Element} node - Subtree root to search
+     */
+    function protectSendButtonsIn(node) {
+        try {
+            findSendCandidates(node).forEach(protectSendButton);
+        } catch (error) {
+            console.error('Error protecting send buttons:', error);
+        }
+    }
+    
+    /**
+     * Release compose windows and send buttons that have left the document
+     */
+    function pruneComposeRegistry() {
+        composeRegistry.forEach(function(entry, root) {
+            if (!root.isConnected) {
+                unregisterCompose(root);
+                return;
+            }
+            
+            entry.buttons.forEach(function(protection, button) {
+                if (!button.isConnected) {
+                    unprotectSendButton(entry, button);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Handle DOM mutations: protect new send buttons and clean up removed compose windows
+     * @param {MutationRecord[]} mutations - Batched mutation records
+     */
+    function handleMutations(mutations) {
+        let removedNodes = false;
+        
+        mutations.forEach(function(mutation) {
+            mutation.addedNodes.forEach(function(node) {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    protectSendButtonsIn(node);
+                }
+            });
+            
+            if (mutation.removedNodes.length > 0) {
+                removedNodes = true;
+            }
+        });
+        
+        if (removedNodes && composeRegistry.size > 0) {
+            pruneComposeRegistry();
+        }
+        
+        scheduleComposeAudit();
+    }
+    
+    /**
+     * Find the open compose windows, whether or not a send button was found in them
+     * @returns {Element[]} Compose window roots
+     */
+    function findComposeWindows() {
+        const roots = new Set(composeRegistry.keys());
+        
+        document.querySelectorAll(site.composeBodySelectors.join(',')).forEach(function(body) {
+            const root = findComposeRoot(body);
+            if (root) {
+                roots.add(root);
+            }
+        });
+        
+        return Array.from(roots).filter(root => root.isConnected && hasComposeInput(root));
+    }
+    
+    /**
+     * Check whether a compose window has at least one protected send button
+     * @param {Element} root - Compose window root
+     * @returns {boolean} Whether a send button of the window is guarded
+     */
+    function hasProtectedSendButton(root) {
+        const entry = composeRegistry.get(root);
+        return Boolean(entry) && entry.buttons.size > 0;
+    }
+    
+    /**
+     * Find compose windows without a protected send button, rescanning each
+     * one first in case its send control was relabelled after it was added
+     * @returns {{windows: Element[], unprotected: Element[]}} All open compose windows and the unprotected ones
+     */
+    function checkComposeWindows() {
+        pruneComposeRegistry();
+        
+        const windows = findComposeWindows();
+        windows.filter(root => !hasProtectedSendButton(root)).forEach(protectSendButtonsIn);
+        
+        return {
+            windows,
+            unprotected: windows.filter(root => !hasProtectedSendButton(root))
+        };
+    }
+    
+    /**
+     * Show a dismissible warning toast on the page
+     * @param {string} id - Host element id; a warning with the same id is replaced
+     * @param {string} text - Warning text
+     */
+    function showWarningToast(id, text) {
+        const { host, container: toast } = createShadowContainer(id);
+        toast.classList.add('toast', 'warning');
+        toast.setAttribute('role', 'alert');
+        
+        const message = document.createElement('span');
+        message.textContent = text;
+        
+        const dismissBtn = document.createElement('button');
+        dismissBtn.className = 'link';
+        dismissBtn.textContent = t('dismiss');
+        dismissBtn.addEventListener('click', function() {
+            host.remove();
+        });
+        
+        toast.appendChild(message);
+        toast.appendChild(dismissBtn);
+        document.body.appendChild(host);
+    }
+    
+    /**
+     * Warn that some compose windows have no protected send button
+     * @param {number} count - Number of unprotected compose windows
+     */
+    function showUnprotectedWarning(count) {
+        showWarningToast('gadi-unprotected-warning', tPlural('unprotectedCompose', count));
+    }
+    
+    /**
+     * Warn once per compose window that opens without a protected send
+     * button, and clear the warning once every window is protected
+     */
+    function auditComposeWindows() {
+        const { unprotected } = checkComposeWindows();
+        
+        if (unprotected.length === 0) {
+            const warning = document.getElementById('gadi-unprotected-warning');
+            if (warning) {
+                warning.remove();
+            }
+            return;
+        }
+        
+        const newlyFound = unprotected.filter(root => !warnedComposeRoots.has(root));
+        if (newlyFound.length === 0) {
+            return;
+        }
+        
+        newlyFound.forEach(root => warnedComposeRoots.add(root));
+        console.warn(`No protected send button in ${unprotected.length} compose window(s)`);
+        showUnprotectedWarning(unprotected.length);
+    }
+    
+    /**
+     * Audit compose windows shortly after the page changes. Throttled rather
+     * than debounced, since busy pages mutate without pause.
+     */
+    function scheduleComposeAudit() {
+        if (composeAuditTimer) {
+            return;
+        }
+        
+        composeAuditTimer = setTimeout(function() {
+            composeAuditTimer = null;
+            auditComposeWindows();
+        }, EXTENSION_CONFIG.COMPOSE_AUDIT_DELAY);
+    }
+    
+    /**
+     * Report compose windows and protected send buttons for the popup's diagnostics view
+     * @returns {Object} Diagnostics report
+     */
+    function collectDiagnostics() {
+        const { windows, unprotected } = checkComposeWindows();
+        const buttons = [];
+        
+        composeRegistry.forEach(function(entry) {
+            entry.buttons.forEach(function(protection, button) {
+                buttons.push({
+                    composeId: entry.id,
+                    path: protection.detection.path,
+                    strategy: protection.detection.strategy,
+                    signals: protection.detection.signals,
+                    confidence: protection.detection.confidence,
+                    visible: button.offsetParent !== null
+                });
+            });
+        });
+        
+        return {
+            site: site.label,
+            enabled: settings.enabled,
+            composeWindows: windows.length,
+            protectedButtons: buttons.length,
+            unprotectedWindows: unprotected.length,
+            buttons
+        };
+    }
+    
+    /**
+     * Start tracking compose windows as the site opens and closes them
+     */
+    function startComposeTracking() {
+        protectSendButtonsIn(document.body);
+        scheduleComposeAudit();
+        
+        const observer = new MutationObserver(handleMutations);
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+    
+    /**
+     * Build the challenge context for the compose window containing an element
+     * @param {Element} element - Send control or compose input
+     * @param {string} path - Send path being used
+     * @returns {Object} Challenge context ({ recipients, triggers, subject, bodyPreview, path, burstSends })
+     */
+    function buildChallengeContext(element, path) {
+        const root = findComposeRoot(element);
+        const text = root ? getComposeText(root) : { subject: '', body: '' };
+        return {
+            recipients: site.getRecipients(root),
+            triggers: detectContentTriggers(root),
+            subject: text.subject.trim(),
+            bodyPreview: getBodyPreview(text.body),
+            path,
+            burstSends: getBurstSends()
+        };
+    }
+    
+    /**
+     * Decide whether a send should be challenged and with how many problems
+     * A fired content trigger challenges even outside scheduled hours or rules.
+     * In adaptive mode, a burst of recent sends adds problems to the challenge.
+     * @param {Element} element - Send control or compose input
+     * @param {string} path - Send path being used, e.g. 'send', 'shortcut' or 'scheduleSend'
+     * @returns {{numProblems: number, context: Object}|null} Challenge to show, or null to let the send through
+     */
+    function decideChallenge(element, path) {
+        if (!settings.enabled) {
+            console.log('Extension disabled in settings');
+            return null;
+        }
+        
+        if (isChallengePaused()) {
+            console.log('Challenges paused - skipping');
+            recordChallengeEvent('bypassed', { path });
+            return null;
+        }
+        
+        const context = buildChallengeContext(element, path);
+        let numProblems;
+        
+        if (context.triggers.length > 0) {
+            console.log('Content triggers fired:', context.triggers.join('; '));
+            numProblems = settings.numProblems;
+        } else {
+            if (!shouldBeActive()) {
+                return null;
+            }
+            
+            const decision = evaluateRules(settings, context.recipients);
+            if (!decision.challenge) {
+                console.log('No rule requires a challenge');
+                return null;
+            }
+            numProblems = decision.numProblems;
+        }
+        
+        if (context.burstSends > 0) {
+            console.log(`${context.burstSends} recent sends - adding problems`);
+            numProblems = Math.min(numProblems + settings.adaptive.burstExtraProblems, SETTINGS_CONFIG.MAX_PROBLEMS);
+        }
+        
+        return { numProblems, context };
+    }
+    
+    /**
+     * Summarize a draft's recipients, e.g. "Jane Doe, bob@example.com and 3 others"
+     * @param {Array<{email: string, name: string}>} recipients - Draft recipients
+     * @returns {string} Recipient summary
+     */
+    function summarizeRecipients(recipients) {
+        const names = recipients.map(recipient => recipient.name || recipient.email);
+        const shown = names.slice(0, EXTENSION_CONFIG.SUMMARY_RECIPIENTS);
+        const others = names.length - shown.length;
+        
+        if (others > 0) {
+            shown.push(tPlural('moreRecipients', others));
+        }
+        return new Intl.ListFormat(getLocale(), { type: 'conjunction' }).format(shown);
+    }
+    
+    /**
+     * Display the math challenge modal
+     * @param {Object} currentSettings - Current extension settings
+     * @param {Object} context - Challenge context ({ recipients, triggers, subject, bodyPreview, path }) for the compose window
+     * @param {Object} options - Modal options
+     * @param {number} options.id - Challenge id, unique on the page
+     * @param {Function} options.onSuccess - Called when the challenge is passed
+     * @param {Function} options.onClose - Called when the modal closes, passed or not
+     * @param {boolean} [options.practice] - Practice challenge that sends and records nothing and ends with the results
+     * @returns {{setWaiting: Function}} Handle to show how many other drafts are waiting
+     */
+    function showMathChallenge(currentSettings, context, options) {
+        console.log(`Starting challenge #${options.id} with settings:`, JSON.stringify(currentSettings));
+        
+        let timerInterval = null;
+        // Wall-clock countdown: the deadline while it runs, the time left while it
+        // is held for a lockout or a background tab
+        let timerTotal = currentSettings.timeLimit * 1000;
+        let timerDeadline = 0;
+        let timerLeft = timerTotal;
+        let shownSeconds = null;
+        let graceUsed = false;
+        let currentProblems = [];
+        let answerInputs = [];
+        let questionDivs = [];
+        let feedbackMarks = [];
+        let timerDiv = null;
+        let timerText = null;
+        let timerRing = null;
+        let graceBtn = null;
+        let errorDiv = null;
+        let liveRegion = null;
+        let lockoutInterval = null;
+        let wrongAttempts = 0;
+        let escalation = 0;
+        let answersChecked = 0;
+        let answersCorrect = 0;
+        let coolingOffInterval = null;
+        let sendTimeout = null;
+        // Set once the challenge has been passed or cancelled; whatever comes
+        // after that (a second submit, Escape during "Sending…") is ignored
+        let settled = false;
+        // Where a cancel leaves the send: 'challenge', or 'coolingOff' once solved
+        let stage = 'challenge';
+        const shownAt = Date.now();
+        const previousFocus = document.activeElement;
+        // Practice stays out of the history and adaptive mode
+        const record = options.practice ? function() {} : recordChallengeEvent;
+        
+        record('shown', { problems: currentSettings.numProblems, path: context.path });
+        
+        /**
+         * Generate a fresh set of problems at the current escalation
+         */
+        function generateProblems() {
+            currentProblems = [];
+            for (let i = 0; i < currentSettings.numProblems; i++) {
+                currentProblems.push(generateChallenge(currentSettings, context, escalation));
+            }
+        }
+        
+        /**
+         * Replace every problem on screen with a fresh one
+         */
+        function replaceProblems() {
+            generateProblems();
+            currentProblems.forEach((problem, i) => {
+                if (questionDivs[i] && answerInputs[i]) {
+                    renderProblem(i);
+                }
+            });
+        }
+        
+        /**
+         * Replace the problems that are unanswered or answered wrong, keeping solved ones
+         */
+        function replaceUnsolvedProblems() {
+            currentProblems.forEach((problem, i) => {
+                if (!isCorrectAnswer(problem, answerInputs[i].value)) {
+                    currentProblems[i] = generateChallenge(currentSettings, context, escalation);
+                    renderProblem(i);
+                }
+            });
+        }
+        
+        // Generate initial problems
+        generateProblems();
+        
+        /**
+         * Render problem i into its question div and reset its answer input
+         * @param {number} i - Problem index
+         */
+        function renderProblem(i) {
+            const input = answerInputs[i];
+            
+            clearTimeout(questionDivs[i].memoryTimeout);
+            input.value = '';
+            input.disabled = false;
+            // Providers set their own direction and keyboard; a re-rolled
+            // problem may be of another type
+            questionDivs[i].removeAttribute('dir');
+            input.removeAttribute('dir');
+            input.removeAttribute('inputmode');
+            setFeedback(i, 'empty');
+            CHALLENGE_PROVIDERS[currentProblems[i].type].render(currentProblems[i], questionDivs[i], input);
+        }
+        
+        /**
+         * Show whether answer i is correct, by color, text and aria-invalid
+         * @param {number} i - Problem index
+         * @param {string} state - 'empty', 'correct' or 'incorrect'
+         */
+        function setFeedback(i, state) {
+            const input = answerInputs[i];
+            const mark = feedbackMarks[i];
+            
+            input.classList.toggle('correct', state === 'correct');
+            input.classList.toggle('incorrect', state === 'incorrect');
+            mark.className = `feedback ${state}`;
+            
+            if (state === 'correct') {
+                mark.textContent = t('feedbackCorrect');
+                input.setAttribute('aria-invalid', 'false');
+            } else if (state === 'incorrect') {
+                mark.textContent = t('feedbackIncorrect');
+                input.setAttribute('aria-invalid', 'true');
+            } else {
+                mark.textContent = '';
+                input.removeAttribute('aria-invalid');
+            }
+        }
+        
+        /**
+         * Have screen readers announce a message through the live region
+         * @param {string} message - Message to announce
+         */
+        function announce(message) {
+            liveRegion.textContent = '';
+            setTimeout(function() {
+                liveRegion.textContent = message;
+            }, 100);
+        }
+        
+        /**
+         * Get the time left on the countdown
+         * @returns {number} Milliseconds left
+         */
+        function getTimeLeft() {
+            return timerInterval ? Math.max(timerDeadline - Date.now(), 0) : timerLeft;
+        }
+        
+        /**
+         * Check whether the countdown must wait: during a lockout, and while the
+         * tab is in the background when the user asked for that
+         * @returns {boolean} Whether the countdown is held
+         */
+        function isTimerHeld() {
+            return lockoutInterval !== null || (currentSettings.timer.pauseWhenHidden && document.hidden);
+        }
+        
+        /**
+         * Show the time left on the ring and label, with the warning look and the
+         * extra time offer near the end
+         */
+        function renderTimer() {
+            const left = getTimeLeft();
+            const seconds = Math.ceil(left / 1000);
+            const warningSeconds = Math.min(EXTENSION_CONFIG.TIMER_WARNING_SECONDS, Math.ceil(currentSettings.timeLimit / 4));
+            const warning = seconds <= warningSeconds;
+            const ringLength = 2 * Math.PI * EXTENSION_CONFIG.TIMER_RING_RADIUS;
+            
+            timerRing.style.strokeDashoffset = String(ringLength * (1 - left / timerTotal));
+            timerDiv.classList.toggle('warning', warning);
+            
+            graceBtn.hidden = !warning || graceUsed || lockoutInterval !== null;
+            graceBtn.disabled = graceBtn.hidden;
+            
+            if (seconds !== shownSeconds) {
+                // Only the label's whole seconds are spoken, and only on the way down
+                if (shownSeconds !== null && seconds < shownSeconds &&
+                    EXTENSION_CONFIG.TIMER_ANNOUNCEMENTS.includes(seconds)) {
+                    announce(tPlural('secondsLeft', seconds));
+                }
+                shownSeconds = seconds;
+                timerText.textContent = t('timerLabel', formatNumber(seconds));
+            }
+        }
+        
+        /**
+         * Advance the countdown, replacing problems when the time is up
+         */
+        function tickTimer() {
+            if (getTimeLeft() > 0) {
+                renderTimer();
+                return;
+            }
+            
+            record('expired');
+            
+            if (currentSettings.timer.regenerate === 'unsolved') {
+                replaceUnsolvedProblems();
+            } else {
+                replaceProblems();
+            }
+            
+            errorDiv.textContent = t(currentSettings.timer.regenerate === 'unsolved' ? 'timeUpUnsolved' : 'timeUp');
+            errorDiv.hidden = false;
+            setTimeout(() => {
+                errorDiv.hidden = true;
+            }, 2000);
+            
+            restartTimer();
+        }
+        
+        /**
+         * Run the countdown on from the time it has left, unless it is held
+         */
+        function resumeTimer() {
+            if (!timerDiv || timerInterval || isTimerHeld()) {
+                return;
+            }
+            timerDeadline = Date.now() + timerLeft;
+            timerInterval = setInterval(tickTimer, EXTENSION_CONFIG.TIMER_TICK);
+        }
+        
+        /**
+         * Hold the countdown, keeping the time it has left
+         */
+        function pauseTimer() {
+            if (!timerInterval) {
+                return;
+            }
+            timerLeft = getTimeLeft();
+            clearInterval(timerInterval);
+            timerInterval = null;
         }
         
-        const now = new Date();
-        const hour = now.getHours();
-        const isNightTime = hour >= EXTENSION_CONFIG.NIGHT_START || hour < EXTENSION_CONFIG.NIGHT_END;
-        
-        console.log(`Current hour: ${hour}, Night time: ${isNightTime}`);
+        /**
+         * Start the countdown over at the full time limit
+         */
+        function restartTimer() {
+            if (!timerDiv) {
+                return;
+            }
+            pauseTimer();
+            timerTotal = currentSettings.timeLimit * 1000;
+            timerLeft = timerTotal;
+            shownSeconds = null;
+            renderTimer();
+            resumeTimer();
+        }
         
-        if (!isNightTime) {
-            console.log('Night mode enabled but not night time');
-            return false;
+        /**
+         * Stop the countdown for good when the challenge ends
+         */
+        function stopTimer() {
+            pauseTimer();
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
         }
         
-        console.log('Night mode active');
-        return true;
-    }
-    
-    /**
-     * Generate a random math problem
-     * @returns {{question: string, answer: number}} Math problem object
-     */
-    function generateMathProblem() {
-        const num1 = Math.floor(Math.random() * 25) + 5;
-        const num2 = Math.floor(Math.random() * 25) + 5;
-        const operators = ['+', '-', '*'];
-        const operator = operators[Math.floor(Math.random() * operators.length)];
+        /**
+         * Hold the countdown while the tab is in the background
+         */
+        function handleVisibilityChange() {
+            if (document.hidden) {
+                pauseTimer();
+            } else {
+                resumeTimer();
+            }
+        }
         
-        let answer;
-        let question;
+        /**
+         * Give extra time once, when the countdown is nearly up
+         */
+        function extendTimer() {
+            const graceMs = currentSettings.timer.graceSeconds * 1000;
+            
+            graceUsed = true;
+            timerTotal += graceMs;
+            if (timerInterval) {
+                timerDeadline += graceMs;
+            } else {
+                timerLeft += graceMs;
+            }
+            renderTimer();
+            announce(tPlural('timerExtended', currentSettings.timer.graceSeconds));
+            
+            const focusable = getFocusableElements();
+            if (focusable.length > 0) {
+                focusable[0].focus();
+            }
+        }
         
-        switch(operator) {
-            case '+':
-                answer = num1 + num2;
-                question = `${num1} + ${num2}`;
-                break;
-            case '-':
-                const larger = Math.max(num1, num2);
-                const smaller = Math.min(num1, num2);
-                answer = larger - smaller;
-                question = `${larger} - ${smaller}`;
-                break;
-            case '*':
-                const smallNum1 = Math.floor(Math.random() * 12) + 2;
-                const smallNum2 = Math.floor(Math.random() * 12) + 2;
-                answer = smallNum1 * smallNum2;
-                question = `${smallNum1} × ${smallNum2}`;
-                break;
+        /**
+         * Remove the modal and give focus back to where it was
+         */
+        function closeModal() {
+            clearTimeout(sendTimeout);
+            stopTimer();
+            clearInterval(lockoutInterval);
+            clearInterval(coolingOffInterval);
+            host.remove();
+            
+            if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') {
+                previousFocus.focus();
+            }
+            options.onClose();
         }
         
-        return { question, answer };
-    }
-    
-    /**
-     * Find and protect Gmail send buttons
-     */
-    function findAndProtectSendButtons() {
-        EXTENSION_CONFIG.SEND_BUTTON_SELECTORS.forEach(function(selector) {
-            try {
-                const buttons = document.querySelectorAll(selector);
-                
-                buttons.forEach(function(button) {
-                    if (button.dataset.gadiProtected) {
-                        return;
-                    }
-                    
-                    const buttonText = button.textContent.toLowerCase();
-                    const isVisibleSendButton = (
-                        buttonText.includes('send') && 
-                        !buttonText.includes('feedback') &&
-                        button.offsetParent !== null
-                    );
-                    
-                    if (!isVisibleSendButton) {
-                        return;
-                    }
-                    
-                    button.dataset.gadiProtected = 'true';
-                    console.log('Protecting send button:', button.textContent.trim());
-                    
-                    button.addEventListener('click', function(event) {
-                        if (challengeActive) {
-                            return;
-                        }
-                        
-                        console.log('Send button clicked - loading fresh settings...');
-                        
-                        loadSettings().then(() => {
-                            console.log('Using settings for challenge:', JSON.stringify(settings));
-                            
-                            if (!shouldBeActive()) {
-                                console.log('Extension not active, allowing email to send');
-                                return;
-                            }
-                            
-                            console.log('Intercepting email send');
-                            
-                            event.preventDefault();
-                            event.stopPropagation();
-                            event.stopImmediatePropagation();
-                            
-                            showMathChallenge(settings, function() {
-                                console.log('Challenge passed - sending email');
-                                
-                                challengeActive = true;
-                                
-                                setTimeout(function() {
-                                    button.dataset.gadiProtected = '';
-                                    button.click();
-                                    
-                                    setTimeout(function() {
-                                        challengeActive = false;
-                                        button.dataset.gadiProtected = 'true';
-                                    }, EXTENSION_CONFIG.CHALLENGE_TIMEOUT);
-                                }, EXTENSION_CONFIG.MODAL_ANIMATION_DELAY);
-                            });
-                        }).catch(error => {
-                            console.error('Error in send button handler:', error);
-                        });
-                    }, true);
-                });
-            } catch (error) {
-                console.error('Error in findAndProtectSendButtons:', error);
+        /**
+         * Mark the challenge as ended, so only the first of a pass, bypass or
+         * cancel takes effect
+         * @returns {boolean} False when the challenge had already ended
+         */
+        function settle() {
+            if (settled) {
+                return false;
             }
-        });
-    }
-    
-    /**
-     * Display the math challenge modal
-     * @param {Object} currentSettings - Current extension settings
-     * @param {Function} onSuccess - Callback when challenge is passed
-     */
-    function showMathChallenge(currentSettings, onSuccess) {
-        console.log('Starting challenge with settings:', JSON.stringify(currentSettings));
+            settled = true;
+            return true;
+        }
         
-        if (challengeActive) return;
-        challengeActive = true;
+        /**
+         * Close the modal and let the intercepted send go through
+         */
+        function closeAndSend() {
+            closeModal();
+            options.onSuccess();
+        }
         
-        const existing = document.getElementById('gadi-math-challenge');
-        if (existing) {
-            existing.remove();
+        /**
+         * Pause challenges and send this draft without solving
+         * @param {string} option - One of PAUSE_CONFIG.OPTIONS
+         */
+        function pauseAndSend(option) {
+            if (!settle()) {
+                return;
+            }
+            console.log(`Challenges paused (${option}) from challenge #${options.id}`);
+            pausedUntil = startPause(option, 'challenge', currentSettings.historyRetentionDays);
+            record('bypassed', { path: context.path });
+            closeAndSend();
         }
         
-        let timeRemaining = currentSettings.timeLimit;
-        let timerInterval = null;
-        let currentProblems = [];
-        let answerInputs = [];
-        let questionDivs = [];
-        let timerDiv = null;
-        let errorDiv = null;
+        /**
+         * Close the modal without sending
+         */
+        function cancelChallenge() {
+            if (!settle()) {
+                return;
+            }
+            record('abandoned', { stage });
+            closeModal();
+        }
         
-        // Generate initial problems
-        for (let i = 0; i < currentSettings.numProblems; i++) {
-            currentProblems.push(generateMathProblem());
-        }
-        
-        // Create backdrop
-        const backdrop = document.createElement('div');
-        backdrop.id = 'gadi-math-challenge';
-        Object.assign(backdrop.style, {
-            position: 'fixed',
-            top: '0',
-            left: '0',
-            width: '100%',
-            height: '100%',
-            background: 'rgba(0, 0, 0, 0.5)',
-            display: 'flex',
-            justifyContent: 'center',
-            alignItems: 'center',
-            zIndex: '999999',
-            fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-            backdropFilter: 'blur(3px)'
-        });
+        /**
+         * Get the controls that can currently receive focus inside the modal
+         * @returns {HTMLElement[]} Focusable elements in tab order
+         */
+        function getFocusableElements() {
+            return Array.from(modal.querySelectorAll('input, button')).filter(element => !element.disabled);
+        }
+        
+        // Create backdrop inside its own shadow root, out of reach of the site's CSS
+        const { host, root, container: backdrop } = createShadowContainer(`gadi-math-challenge-${options.id}`);
+        backdrop.classList.add('backdrop');
         
         // Create main modal
         const modal = document.createElement('div');
-        Object.assign(modal.style, {
-            background: 'white',
-            padding: '32px',
-            borderRadius: '16px',
-            boxShadow: '0 25px 50px rgba(0, 0, 0, 0.25)',
-            maxWidth: '420px',
-            width: '90%',
-            maxHeight: '80vh',
-            overflow: 'auto',
-            textAlign: 'center',
-            transform: 'scale(0.95)',
-            animation: 'mailGogglesSlideIn 0.3s ease-out forwards'
-        });
-        
-        // Add CSS animation
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes mailGogglesSlideIn {
-                to {
-                    transform: scale(1);
-                }
-            }
-        `;
-        document.head.appendChild(style);
+        modal.className = 'modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'gadi-challenge-title');
+        modal.setAttribute('aria-describedby', 'gadi-challenge-description gadi-challenge-draft');
+        modal.tabIndex = -1;
         
         // Create header
         const header = document.createElement('div');
+        header.className = 'icon';
         header.textContent = '🤔';
-        Object.assign(header.style, {
-            fontSize: '48px',
-            marginBottom: '16px'
-        });
+        header.setAttribute('aria-hidden', 'true');
         
         const title = document.createElement('h2');
-        title.textContent = 'Think Before You Send';
-        Object.assign(title.style, {
-            color: '#1f2937',
-            fontSize: '24px',
-            fontWeight: '600',
-            margin: '0 0 8px 0'
-        });
+        title.id = 'gadi-challenge-title';
+        title.textContent = t('modalTitle');
         
         const subtitle = document.createElement('p');
-        const problemText = currentSettings.numProblems === 1 
-            ? 'Solve this problem to send your email' 
-            : `Solve all ${currentSettings.numProblems} problems to send your email`;
-        subtitle.textContent = problemText;
-        Object.assign(subtitle.style, {
-            color: '#6b7280',
-            fontSize: '16px',
-            margin: '0 0 24px 0'
-        });
+        subtitle.id = 'gadi-challenge-description';
+        subtitle.className = 'subtitle';
+        subtitle.textContent = tPlural(options.practice ? 'practiceProblems' : 'solveProblems', currentSettings.numProblems);
+        
+        // Say which draft this challenge is for
+        const draftBox = document.createElement('div');
+        draftBox.id = 'gadi-challenge-draft';
+        draftBox.className = 'draft';
+        
+        const draftSubject = document.createElement('div');
+        draftSubject.className = 'draft-subject';
+        draftSubject.dir = 'auto';
+        draftSubject.textContent = context.subject || t('draftNoSubject');
+        
+        const draftRecipients = document.createElement('div');
+        draftRecipients.textContent = context.recipients.length > 0
+            ? t('draftTo', summarizeRecipients(context.recipients))
+            : t('draftNoRecipients');
+        
+        draftBox.appendChild(draftSubject);
+        draftBox.appendChild(draftRecipients);
+        
+        // Other drafts sent while this challenge is on screen
+        const queueNotice = document.createElement('p');
+        queueNotice.className = 'queue-notice';
+        queueNotice.hidden = true;
         
         modal.appendChild(header);
         modal.appendChild(title);
         modal.appendChild(subtitle);
+        modal.appendChild(draftBox);
+        modal.appendChild(queueNotice);
+        
+        // Say why a burst of sends made this challenge longer
+        if (context.burstSends > 0) {
+            const burstNotice = document.createElement('p');
+            burstNotice.className = 'burst-notice';
+            burstNotice.textContent = tPlural('burstNotice', context.burstSends);
+            modal.appendChild(burstNotice);
+        }
+        
+        // Timer warnings are spoken through this region; the timer itself
+        // changes every second and would be too noisy to announce
+        liveRegion = createScreenReaderText();
+        liveRegion.setAttribute('aria-live', 'polite');
+        modal.appendChild(liveRegion);
+        
+        // Explain which content triggers caused this challenge
+        if (context.triggers.length > 0) {
+            const triggerBox = document.createElement('div');
+            triggerBox.className = 'triggers';
+            
+            const triggerTitle = document.createElement('div');
+            triggerTitle.className = 'triggers-title';
+            triggerTitle.textContent = t('flaggedInDraft');
+            triggerBox.appendChild(triggerTitle);
+            
+            context.triggers.forEach(function(trigger) {
+                const item = document.createElement('div');
+                item.textContent = `• ${trigger}`;
+                triggerBox.appendChild(item);
+            });
+            
+            modal.appendChild(triggerBox);
+        }
         
-        // Create timer if enabled
+        // Create timer if enabled: a ring that empties as time runs out, and the
+        // time left as text
         if (currentSettings.timeLimit > 0) {
+            const svgNS = 'http://www.w3.org/2000/svg';
+            const ringLength = 2 * Math.PI * EXTENSION_CONFIG.TIMER_RING_RADIUS;
+            
             timerDiv = document.createElement('div');
-            timerDiv.textContent = `Time: ${timeRemaining}s`;
-            Object.assign(timerDiv.style, {
-                color: '#ef4444',
-                fontSize: '14px',
-                fontWeight: '600',
-                marginBottom: '20px',
-                padding: '8px 12px',
-                background: '#fef2f2',
-                borderRadius: '8px',
-                border: '1px solid #fecaca'
+            timerDiv.className = 'timer';
+            
+            const ring = document.createElementNS(svgNS, 'svg');
+            ring.setAttribute('class', 'timer-ring');
+            ring.setAttribute('viewBox', '0 0 36 36');
+            ring.setAttribute('aria-hidden', 'true');
+            ['timer-track', 'timer-progress'].forEach(function(className) {
+                const circle = document.createElementNS(svgNS, 'circle');
+                circle.setAttribute('class', className);
+                circle.setAttribute('cx', '18');
+                circle.setAttribute('cy', '18');
+                circle.setAttribute('r', String(EXTENSION_CONFIG.TIMER_RING_RADIUS));
+                ring.appendChild(circle);
+                timerRing = circle;
             });
-            modal.appendChild(timerDiv);
+            timerRing.style.strokeDasharray = String(ringLength);
             
-            // Function to handle timer expiration
-            function handleTimerExpiration() {
-                // Generate new problems
-                currentProblems = [];
-                for (let i = 0; i < currentSettings.numProblems; i++) {
-                    currentProblems.push(generateMathProblem());
-                }
-                
-                // Update UI
-                currentProblems.forEach((problem, i) => {
-                    if (questionDivs[i]) {
-                        questionDivs[i].textContent = `${problem.question} = ?`;
-                    }
-                    if (answerInputs[i]) {
-                        answerInputs[i].dataset.correct = problem.answer;
-                        answerInputs[i].value = '';
-                        answerInputs[i].style.borderColor = '#e5e7eb';
-                        answerInputs[i].style.background = '#fafafa';
-                    }
-                });
-                
-                // Show temporary message
-                if (errorDiv) {
-                    errorDiv.textContent = "Time's up! New problems generated.";
-                    errorDiv.style.display = 'block';
-                    setTimeout(() => {
-                        errorDiv.style.display = 'none';
-                    }, 2000);
-                }
-                
-                // Reset timer
-                timeRemaining = currentSettings.timeLimit;
-                timerDiv.textContent = `Time: ${timeRemaining}s`;
+            timerText = document.createElement('span');
+            timerText.setAttribute('role', 'timer');
+            
+            graceBtn = document.createElement('button');
+            graceBtn.className = 'link';
+            graceBtn.textContent = tPlural('timerGrace', currentSettings.timer.graceSeconds);
+            graceBtn.addEventListener('click', extendTimer);
+            
+            timerDiv.appendChild(ring);
+            timerDiv.appendChild(timerText);
+            if (currentSettings.timer.graceSeconds > 0) {
+                timerDiv.appendChild(graceBtn);
+            } else {
+                graceUsed = true;
             }
+            modal.appendChild(timerDiv);
             
-            // Start timer
-            timerInterval = setInterval(function() {
-                timeRemaining--;
-                timerDiv.textContent = `Time: ${timeRemaining}s`;
-                
-                if (timeRemaining <= 0) {
-                    handleTimerExpiration();
-                }
-            }, 1000);
+            if (currentSettings.timer.pauseWhenHidden) {
+                document.addEventListener('visibilitychange', handleVisibilityChange);
+            }
         }
         
         // Create problems container
         const problemsContainer = document.createElement('div');
-        problemsContainer.style.margin = '24px 0';
+        problemsContainer.className = 'problems';
         
         currentProblems.forEach((problem, i) => {
             const problemDiv = document.createElement('div');
-            Object.assign(problemDiv.style, {
-                padding: '20px 0',
-                borderBottom: i < currentProblems.length - 1 ? '1px solid #f3f4f6' : 'none'
-            });
+            problemDiv.className = 'problem';
+            problemDiv.setAttribute('role', 'group');
+            problemDiv.setAttribute('aria-label', t('problemOfTotal', [formatNumber(i + 1), formatNumber(currentProblems.length)]));
             
             const questionDiv = document.createElement('div');
-            questionDiv.textContent = `${problem.question} = ?`;
-            Object.assign(questionDiv.style, {
-                fontSize: '28px',
-                fontWeight: '500',
-                color: '#1f2937',
-                marginBottom: '16px',
-                fontFamily: '"SF Mono", Monaco, monospace'
-            });
+            questionDiv.className = 'question';
+            questionDiv.id = `gadi-challenge-question-${i}`;
             
             questionDivs.push(questionDiv);
             
             const input = document.createElement('input');
-            input.type = 'number';
-            input.placeholder = 'Answer';
-            input.dataset.correct = problem.answer;
-            
-            Object.assign(input.style, {
-                padding: '12px 16px',
-                fontSize: '20px',
-                width: '120px',
-                textAlign: 'center',
-                border: '2px solid #e5e7eb',
-                borderRadius: '8px',
-                background: '#fafafa',
-                color: '#1f2937',
-                fontWeight: '500',
-                outline: 'none',
-                fontFamily: '"SF Mono", Monaco, monospace',
-                transition: 'all 0.2s ease'
-            });
+            input.autocomplete = 'off';
+            input.spellcheck = false;
+            input.setAttribute('aria-labelledby', questionDiv.id);
+            input.setAttribute('aria-describedby', `gadi-challenge-feedback-${i}`);
+            
+            const mark = document.createElement('div');
+            mark.id = `gadi-challenge-feedback-${i}`;
+            feedbackMarks.push(mark);
             
             // Validation function
             function validateInput(inputEl) {
-                const userAnswer = parseInt(inputEl.value);
-                const correctAnswer = parseInt(inputEl.dataset.correct);
+                const index = answerInputs.indexOf(inputEl);
                 
                 if (inputEl.value === '') {
-                    Object.assign(inputEl.style, {
-                        borderColor: '#e5e7eb',
-                        background: '#fafafa',
-                        boxShadow: 'none'
-                    });
-                } else if (userAnswer === correctAnswer) {
-                    Object.assign(inputEl.style, {
-                        borderColor: '#10b981',
-                        background: '#f0fdf4',
-                        boxShadow: '0 0 0 3px rgba(16, 185, 129, 0.1)'
-                    });
+                    setFeedback(index, 'empty');
                 } else {
-                    Object.assign(inputEl.style, {
-                        borderColor: '#ef4444',
-                        background: '#fef2f2',
-                        boxShadow: '0 0 0 3px rgba(239, 68, 68, 0.1)'
-                    });
+                    setFeedback(index, isCorrectAnswer(currentProblems[index], inputEl.value) ? 'correct' : 'incorrect');
                 }
             }
             
             // Event listeners
-            input.addEventListener('focus', function() {
-                Object.assign(this.style, {
-                    borderColor: '#3b82f6',
-                    background: 'white',
-                    boxShadow: '0 0 0 3px rgba(59, 130, 246, 0.1)'
-                });
-            });
-            
             input.addEventListener('blur', function() {
                 validateInput(this);
             });
             
+            input.addEventListener('paste', function(e) {
+                if (CHALLENGE_PROVIDERS[currentProblems[answerInputs.indexOf(this)].type].blockPaste) {
+                    e.preventDefault();
+                }
+            });
+            
             input.addEventListener('input', function() {
                 clearTimeout(this.validateTimeout);
                 this.validateTimeout = setTimeout(() => {
@@ -490,9 +2582,11 @@
             });
             
             answerInputs.push(input);
+            renderProblem(i);
             
             problemDiv.appendChild(questionDiv);
             problemDiv.appendChild(input);
+            problemDiv.appendChild(mark);
             problemsContainer.appendChild(problemDiv);
         });
         
@@ -500,92 +2594,322 @@
         
         // Create submit button
         const submitBtn = document.createElement('button');
-        submitBtn.textContent = 'Send Email';
-        Object.assign(submitBtn.style, {
-            padding: '14px 32px',
-            background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '8px',
-            cursor: 'pointer',
-            fontSize: '16px',
-            fontWeight: '600',
-            marginTop: '20px',
-            transition: 'transform 0.2s ease, box-shadow 0.2s ease'
-        });
+        submitBtn.className = 'primary';
+        submitBtn.textContent = t(options.practice ? 'checkAnswers' : 'sendEmail');
         
-        submitBtn.addEventListener('mouseover', function() {
-            Object.assign(this.style, {
-                transform: 'translateY(-2px)',
-                boxShadow: '0 4px 12px rgba(102, 126, 234, 0.4)'
-            });
-        });
-        
-        submitBtn.addEventListener('mouseout', function() {
-            Object.assign(this.style, {
-                transform: 'translateY(0)',
-                boxShadow: 'none'
-            });
-        });
+        // Create cancel button, so closing does not depend on the backdrop
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'secondary';
+        cancelBtn.textContent = t('cancel');
+        cancelBtn.addEventListener('click', cancelChallenge);
         
         modal.appendChild(submitBtn);
+        modal.appendChild(cancelBtn);
+        
+        // Offer to send this draft and pause challenges for a while
+        const pauseButtons = [];
+        if (canPause(lockedKeys) && !options.practice) {
+            const pauseRow = document.createElement('div');
+            pauseRow.className = 'pause-row';
+            pauseRow.textContent = t('pauseFromChallenge');
+            
+            PAUSE_CONFIG.OPTIONS.forEach(function(option) {
+                const pauseBtn = document.createElement('button');
+                pauseBtn.className = 'link';
+                pauseBtn.textContent = t(PAUSE_CONFIG.MESSAGES[option]);
+                pauseBtn.addEventListener('click', function() {
+                    pauseAndSend(option);
+                });
+                pauseButtons.push(pauseBtn);
+                pauseRow.appendChild(pauseBtn);
+            });
+            
+            modal.appendChild(pauseRow);
+        }
         
         // Create error message
         errorDiv = document.createElement('div');
-        Object.assign(errorDiv.style, {
-            color: '#ef4444',
-            marginTop: '16px',
-            fontSize: '14px',
-            fontWeight: '500',
-            display: 'none',
-            padding: '8px 12px',
-            background: '#fef2f2',
-            borderRadius: '6px',
-            border: '1px solid #fecaca'
-        });
+        errorDiv.className = 'error';
+        errorDiv.setAttribute('role', 'alert');
+        errorDiv.hidden = true;
         modal.appendChild(errorDiv);
         
+        // Create lockout countdown; only its start is announced
+        const lockoutDiv = document.createElement('div');
+        lockoutDiv.className = 'lockout';
+        lockoutDiv.hidden = true;
+        modal.insertBefore(lockoutDiv, problemsContainer);
+        
         backdrop.appendChild(modal);
-        document.body.appendChild(backdrop);
+        document.body.appendChild(host);
+        restartTimer();
         
         /**
-         * Check all answers and determine if challenge is passed
+         * Disable the answers until the adaptive lockout ends, then show new problems
          */
-        function checkAllAnswers() {
-            let allCorrect = true;
+        function startLockout() {
+            pauseTimer();
+            questionDivs.forEach(div => clearTimeout(div.memoryTimeout));
+            answerInputs.forEach(input => {
+                input.disabled = true;
+            });
+            submitBtn.disabled = true;
+            pauseButtons.forEach(button => {
+                button.disabled = true;
+            });
+            errorDiv.hidden = true;
+            
+            lockoutDiv.textContent = t('lockedOut', formatCountdown(getLockoutRemaining()));
+            lockoutDiv.hidden = false;
+            announce(lockoutDiv.textContent);
+            modal.focus();
             
-            answerInputs.forEach(function(input) {
-                const userAnswer = parseInt(input.value);
-                const correctAnswer = parseInt(input.dataset.correct);
+            lockoutInterval = setInterval(function() {
+                const remaining = getLockoutRemaining();
+                if (remaining > 0) {
+                    lockoutDiv.textContent = t('lockedOut', formatCountdown(remaining));
+                    return;
+                }
                 
-                if (userAnswer !== correctAnswer || isNaN(userAnswer)) {
-                    allCorrect = false;
+                clearInterval(lockoutInterval);
+                lockoutInterval = null;
+                lockoutDiv.hidden = true;
+                submitBtn.disabled = false;
+                pauseButtons.forEach(button => {
+                    button.disabled = false;
+                });
+                replaceProblems();
+                restartTimer();
+                
+                announce(t('lockoutOver'));
+                const focusable = getFocusableElements();
+                if (focusable.length > 0) {
+                    focusable[0].focus();
+                }
+            }, 1000);
+            
+            if (timerDiv) {
+                renderTimer();
+            }
+        }
+        
+        /**
+         * Replace the practice challenge with its solve time and accuracy
+         * @param {number} solveMs - Time from showing the challenge to solving it
+         */
+        function showPracticeResults(solveMs) {
+            stopTimer();
+            questionDivs.forEach(div => clearTimeout(div.memoryTimeout));
+            
+            const resultTitle = document.createElement('h2');
+            resultTitle.id = 'gadi-challenge-title';
+            resultTitle.textContent = t('practiceDone');
+            
+            const lines = [
+                t('practiceSolveTime', formatNumber(solveMs / 1000, { maximumFractionDigits: 1 })),
+                t('practiceAccuracy', [
+                    formatNumber(answersCorrect),
+                    formatNumber(answersChecked),
+                    formatNumber(answersCorrect / answersChecked, { style: 'percent' })
+                ]),
+                tPlural('practiceChecks', answersChecked / answerInputs.length)
+            ];
+            
+            const results = document.createElement('ul');
+            results.id = 'gadi-challenge-description';
+            results.className = 'practice-results';
+            lines.forEach(function(text) {
+                const item = document.createElement('li');
+                item.textContent = text;
+                results.appendChild(item);
+            });
+            
+            const hint = document.createElement('p');
+            hint.className = 'subtitle';
+            hint.textContent = t('practiceHint');
+            
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'primary';
+            closeBtn.textContent = t('close');
+            closeBtn.addEventListener('click', closeModal);
+            
+            modal.textContent = '';
+            modal.setAttribute('aria-describedby', results.id);
+            modal.appendChild(header);
+            modal.appendChild(resultTitle);
+            modal.appendChild(results);
+            modal.appendChild(hint);
+            modal.appendChild(closeBtn);
+            modal.appendChild(liveRegion);
+            
+            header.textContent = '🎯';
+            announce([resultTitle.textContent, ...lines].join('. '));
+            closeBtn.focus();
+        }
+        
+        /**
+         * Replace the solved challenge with a read-only summary of the draft and a
+         * reflection prompt; "Yes, send" unlocks after the cooling-off wait
+         */
+        function showCoolingOff() {
+            stopTimer();
+            questionDivs.forEach(div => clearTimeout(div.memoryTimeout));
+            stage = 'coolingOff';
+            
+            const coolingTitle = document.createElement('h2');
+            coolingTitle.id = 'gadi-challenge-title';
+            coolingTitle.textContent = t('coolingOffTitle');
+            
+            const prompt = document.createElement('p');
+            prompt.id = 'gadi-challenge-description';
+            prompt.className = 'cooling-prompt';
+            prompt.textContent = t('coolingOffPrompt');
+            
+            // The draft summary keeps its subject and recipients and gains the first body lines
+            const preview = document.createElement('div');
+            preview.className = 'draft-preview';
+            preview.dir = 'auto';
+            if (context.bodyPreview.length > 0) {
+                context.bodyPreview.forEach(function(line) {
+                    const lineDiv = document.createElement('div');
+                    lineDiv.textContent = line;
+                    preview.appendChild(lineDiv);
+                });
+            } else {
+                preview.textContent = t('draftNoBody');
+            }
+            draftBox.appendChild(preview);
+            
+            let waitRemaining = currentSettings.coolingOff.waitSeconds;
+            const confirmBtn = document.createElement('button');
+            confirmBtn.className = 'primary';
+            confirmBtn.disabled = true;
+            confirmBtn.textContent = t('coolingOffWaiting', formatNumber(waitRemaining));
+            confirmBtn.addEventListener('click', function() {
+                if (!settle()) {
+                    return;
                 }
+                console.log('Send confirmed after cooling off');
+                closeAndSend();
             });
             
-            if (allCorrect) {
+            const backBtn = document.createElement('button');
+            backBtn.className = 'secondary';
+            backBtn.textContent = t('coolingOffBack');
+            backBtn.addEventListener('click', cancelChallenge);
+            
+            modal.textContent = '';
+            modal.appendChild(header);
+            modal.appendChild(coolingTitle);
+            modal.appendChild(draftBox);
+            modal.appendChild(queueNotice);
+            modal.appendChild(prompt);
+            modal.appendChild(confirmBtn);
+            modal.appendChild(backBtn);
+            modal.appendChild(liveRegion);
+            
+            announce(`${coolingTitle.textContent}. ${prompt.textContent}`);
+            backBtn.focus();
+            
+            coolingOffInterval = setInterval(function() {
+                waitRemaining--;
+                if (waitRemaining > 0) {
+                    confirmBtn.textContent = t('coolingOffWaiting', formatNumber(waitRemaining));
+                    return;
+                }
+                
+                clearInterval(coolingOffInterval);
+                confirmBtn.disabled = false;
+                confirmBtn.textContent = t('coolingOffConfirm');
+            }, 1000);
+        }
+        
+        /**
+         * Check all answers and determine if challenge is passed
+         */
+        function checkAllAnswers() {
+            if (settled) {
+                return;
+            }
+            
+            const correctCount = answerInputs.filter((input, i) => 
+                isCorrectAnswer(currentProblems[i], input.value)
+            ).length;
+            const allCorrect = correctCount === answerInputs.length;
+            
+            answersChecked += answerInputs.length;
+            answersCorrect += correctCount;
+            
+            if (allCorrect && options.practice) {
+                console.log('Practice challenge passed');
+                showPracticeResults(Date.now() - shownAt);
+                options.onSuccess();
+            
+            } else if (allCorrect) {
                 console.log('Challenge passed');
+                record('passed', { solveMs: Date.now() - shownAt });
+                resetWrongAttempts();
                 
-                if (timerInterval) {
-                    clearInterval(timerInterval);
+                if (currentSettings.coolingOff.enabled) {
+                    showCoolingOff();
+                    return;
                 }
                 
-                submitBtn.textContent = 'Sending...';
-                submitBtn.style.background = '#10b981';
+                settle();
+                stopTimer();
                 
-                setTimeout(function() {
-                    backdrop.remove();
-                    challengeActive = false;
-                    onSuccess();
-                }, 800);
+                submitBtn.disabled = true;
+                submitBtn.textContent = t('sending');
+                submitBtn.classList.add('sending');
+                announce(t('allCorrect'));
                 
+                sendTimeout = setTimeout(closeAndSend, 800);
+            
             } else {
                 console.log('Challenge failed - incorrect answers');
-                errorDiv.textContent = 'Please check your answers and try again.';
-                errorDiv.style.display = 'block';
+                record('failed');
+                wrongAttempts++;
+                
+                const adaptive = currentSettings.adaptive;
+                if (!options.practice && recordWrongAttempt(adaptive)) {
+                    console.log(`Locked out for ${adaptive.lockoutMinutes} minutes`);
+                    startLockout();
+                    return;
+                }
+                
+                if (adaptive.enabled && adaptive.wrongAttempts > 0 && wrongAttempts % adaptive.wrongAttempts === 0) {
+                    escalation++;
+                    console.log(`Escalating to difficulty step ${escalation}`);
+                    replaceProblems();
+                    
+                    errorDiv.textContent = t('problemsHarder');
+                    errorDiv.hidden = false;
+                    const focusable = getFocusableElements();
+                    if (focusable.length > 0) {
+                        focusable[0].focus();
+                    }
+                    
+                    setTimeout(() => {
+                        errorDiv.hidden = true;
+                    }, 3000);
+                    return;
+                }
                 
-                const firstIncorrect = answerInputs.find(input => 
-                    input.style.borderColor === 'rgb(239, 68, 68)'
+                const incorrectCount = answerInputs.filter((input, i) => {
+                    const correct = isCorrectAnswer(currentProblems[i], input.value);
+                    if (!input.disabled) {
+                        setFeedback(i, correct ? 'correct' : 'incorrect');
+                    }
+                    return !correct;
+                }).length;
+                
+                errorDiv.textContent = answerInputs.length === 1
+                    ? t('answerWrong')
+                    : t('answersWrong', [formatNumber(incorrectCount), formatNumber(answerInputs.length)]);
+                errorDiv.hidden = false;
+                
+                const firstIncorrect = answerInputs.find((input, i) => 
+                    !input.disabled && !isCorrectAnswer(currentProblems[i], input.value)
                 );
                 if (firstIncorrect) {
                     firstIncorrect.focus();
@@ -593,7 +2917,7 @@
                 }
                 
                 setTimeout(() => {
-                    errorDiv.style.display = 'none';
+                    errorDiv.hidden = true;
                 }, 3000);
             }
         }
@@ -603,43 +2927,109 @@
         // Close on backdrop click
         backdrop.addEventListener('click', function(e) {
             if (e.target === backdrop) {
-                if (timerInterval) {
-                    clearInterval(timerInterval);
-                }
-                backdrop.remove();
-                challengeActive = false;
+                cancelChallenge();
+            }
+        });
+        
+        // Escape cancels and Tab stays inside the dialog. Keys never reach
+        // the mail site, whose shortcuts would otherwise act on the page behind.
+        backdrop.addEventListener('keydown', function(e) {
+            e.stopPropagation();
+            
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                cancelChallenge();
+                return;
+            }
+            
+            if (e.key !== 'Tab') {
+                return;
+            }
+            
+            const focusable = getFocusableElements();
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            
+            if (!modal.contains(root.activeElement) || root.activeElement === modal) {
+                e.preventDefault();
+                (e.shiftKey ? last : first).focus();
+            } else if (e.shiftKey && root.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && root.activeElement === last) {
+                e.preventDefault();
+                first.focus();
             }
         });
         
-        // Focus first input
+        // A lockout from an earlier challenge, maybe in another tab, still runs
+        if (!options.practice && currentSettings.adaptive.enabled && getLockoutRemaining() > 0) {
+            startLockout();
+        }
+        
+        // Focus the first control that accepts input (memory problems start disabled)
+        modal.focus();
         setTimeout(function() {
-            if (answerInputs[0]) {
-                answerInputs[0].focus();
+            const focusable = getFocusableElements();
+            if (focusable.length > 0) {
+                focusable[0].focus();
             }
         }, 300);
+        
+        return {
+            setWaiting: function(count) {
+                queueNotice.hidden = count === 0;
+                queueNotice.textContent = count > 0 ? tPlural('draftsWaiting', count) : '';
+            }
+        };
     }
     
     // Initialize extension with error handling
-    loadSettings().then(() => {
-        findAndProtectSendButtons();
-        setInterval(findAndProtectSendButtons, EXTENSION_CONFIG.SCAN_INTERVAL);
-    }).catch(error => {
+    loadChallengeStyles();
+    loadAdaptiveState();
+    loadState().catch(error => {
         console.error('Extension initialization failed:', error);
-        // Fallback to basic functionality
-        findAndProtectSendButtons();
-        setInterval(findAndProtectSendButtons, EXTENSION_CONFIG.SCAN_INTERVAL);
     });
     
-    // Listen for settings changes
+    // Guard send buttons right away, like the send shortcut below: the click
+    // handlers decide on the cached settings, which start at the defaults, so
+    // no click can slip through while the state is loading
+    startComposeTracking();
+    
+    // Intercept the send shortcut before the site's own handlers see it
+    window.addEventListener('keydown', handleComposeKeydown, true);
+    
+    // Track the compose window in use, for send menus and dialogs opened from it
+    window.addEventListener('focusin', trackActiveCompose, true);
+    window.addEventListener('pointerdown', trackActiveCompose, true);
+    
+    // Keep sends, wrong answers and lockouts from other mail tabs in step; settings
+    // and pauses arrive from the service worker instead
     if (chrome && chrome.storage && chrome.storage.onChanged) {
         chrome.storage.onChanged.addListener(function(changes, namespace) {
-            if (namespace === 'sync') {
-                console.log('Settings changed, reloading...');
-                loadSettings();
+            if (namespace === 'local' && changes[EXTENSION_CONFIG.ADAPTIVE_STATE_KEY]) {
+                adaptiveState = readAdaptiveState(changes[EXTENSION_CONFIG.ADAPTIVE_STATE_KEY].newValue);
             }
         });
     }
     
-    console.log('Mail Goggles ready');
+    // Answer the popup's diagnostics request and follow the service worker
+    if (chrome && chrome.runtime && chrome.runtime.onMessage) {
+        chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+            if (!message) {
+                return;
+            }
+            if (message.type === 'getDiagnostics') {
+                sendResponse(collectDiagnostics());
+            } else if (message.type === 'stateChanged') {
+                console.log('Settings changed');
+                applyState(message.state);
+            } else if (message.type === 'runPractice') {
+                sendResponse({ started: showPracticeChallenge(message.settings || settings) });
+            }
+        });
+    }
     
+    console.log('Mail Goggles ready');
+
 })();
@@ -0,0 +1,166 @@
+// Local challenge history shared by the content script, popup and service worker
+// Events live in chrome.storage.local only; they never leave the device. The
+// service worker is the only writer: every other context sends it its changes,
+// since separate read-modify-write cycles in several tabs would overwrite each other.
+
+const HISTORY_CONFIG = {
+    STORAGE_KEY: 'challengeHistory',
+    MAX_EVENTS: 5000,
+    EVENT_TYPES: ['shown', 'passed', 'failed', 'expired', 'abandoned', 'sendFailed', 'lockedOut', 'paused', 'resumed', 'bypassed'],
+    DAY_MS: 24 * 60 * 60 * 1000,
+    // Message asking the service worker to apply a history change
+    CHANGE_MESSAGE: 'changeHistory',
+    CHANGE_ACTIONS: ['append', 'prune', 'clear']
+};
+
+// Changes are chained so events recorded in quick succession are not lost
+let historyQueue = Promise.resolve();
+
+/**
+ * Check if Chrome local storage is available
+ * @returns {boolean} Whether local storage is available
+ */
+function hasHistoryStorage() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+}
+
+/**
+ * Drop events older than the retention period and cap the log size
+ * @param {Array<Object>} events - History events, oldest first
+ * @param {number} retentionDays - Days of history to keep
+ * @param {number} [now] - Current time in ms
+ * @returns {Array<Object>} Pruned events
+ */
+function pruneHistory(events, retentionDays, now = Date.now()) {
+    const cutoff = now - retentionDays * HISTORY_CONFIG.DAY_MS;
+    return events
+        .filter(event => event && HISTORY_CONFIG.EVENT_TYPES.includes(event.type) && event.time >= cutoff)
+        .slice(-HISTORY_CONFIG.MAX_EVENTS);
+}
+
+/**
+ * Load the challenge history
+ * @returns {Promise<Array<Object>>} Promise resolving to events, oldest first
+ */
+function loadHistory() {
+    return new Promise((resolve) => {
+        if (!hasHistoryStorage()) {
+            resolve([]);
+            return;
+        }
+        
+        chrome.storage.local.get({ [HISTORY_CONFIG.STORAGE_KEY]: [] }, function(result) {
+            if (chrome.runtime.lastError) {
+                console.error('Error loading history:', chrome.runtime.lastError.message);
+                resolve([]);
+            } else {
+                resolve(Array.isArray(result[HISTORY_CONFIG.STORAGE_KEY]) ? result[HISTORY_CONFIG.STORAGE_KEY] : []);
+            }
+        });
+    });
+}
+
+/**
+ * Save the challenge history
+ * @param {Array<Object>} events - Events to store
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+function saveHistory(events) {
+    return new Promise((resolve) => {
+        if (!hasHistoryStorage()) {
+            resolve();
+            return;
+        }
+        
+        chrome.storage.local.set({ [HISTORY_CONFIG.STORAGE_KEY]: events }, function() {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving history:', chrome.runtime.lastError.message);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Check if this context is the service worker, the history's only writer
+ * @returns {boolean} Whether history changes are applied here
+ */
+function isHistoryWriter() {
+    return typeof ServiceWorkerGlobalScope === 'function';
+}
+
+/**
+ * Apply a history change in this context, after any pending ones
+ * @param {{action: string, event: Object, retentionDays: number}} change - One of
+ *     HISTORY_CONFIG.CHANGE_ACTIONS, with the event to append and the days to keep
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+function applyHistoryChange(change) {
+    historyQueue = historyQueue
+        .then(loadHistory)
+        .then(function(events) {
+            if (change.action === 'clear') {
+                return saveHistory([]);
+            }
+            const changed = change.action === 'append' ? events.concat(change.event) : events;
+            return saveHistory(pruneHistory(changed, change.retentionDays));
+        })
+        .catch(error => console.error(`History ${change.action} failed:`, error));
+    return historyQueue;
+}
+
+/**
+ * Have the service worker apply a history change
+ * The change is applied here when this is the worker, or when the worker
+ * does not answer.
+ * @param {Object} change - Change, as for applyHistoryChange()
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+function requestHistoryChange(change) {
+    if (isHistoryWriter() || typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+        return applyHistoryChange(change);
+    }
+    
+    return new Promise((resolve) => {
+        try {
+            chrome.runtime.sendMessage({ type: HISTORY_CONFIG.CHANGE_MESSAGE, change }, function(applied) {
+                if (chrome.runtime.lastError || !applied) {
+                    console.warn(`Service worker did not apply the history ${change.action}, applying it here`);
+                    resolve(applyHistoryChange(change));
+                } else {
+                    resolve();
+                }
+            });
+        } catch (error) {
+            console.error('History change request failed:', error);
+            resolve(applyHistoryChange(change));
+        }
+    });
+}
+
+/**
+ * Append an event to the challenge history
+ * @param {{type: string, time: number}} event - Event to record, plus optional details
+ * @param {number} retentionDays - Days of history to keep
+ * @returns {Promise<void>} Promise that resolves when recorded
+ */
+function appendHistoryEvent(event, retentionDays) {
+    return requestHistoryChange({ action: 'append', event, retentionDays });
+}
+
+/**
+ * Drop stored events older than the retention period
+ * @param {number} retentionDays - Days of history to keep
+ * @returns {Promise<void>} Promise that resolves when saved
+ */
+function pruneStoredHistory(retentionDays) {
+    return requestHistoryChange({ action: 'prune', retentionDays });
+}
+
+/**
+ * Delete the whole challenge history
+ * @returns {Promise<void>} Promise that resolves when cleared
+ */
+function clearHistory() {
+    return requestHistoryChange({ action: 'clear' });
+}
@@ -0,0 +1,130 @@
+// Message lookup, plurals and locale numbers shared by the content script and popup
+// Messages live in _locales/<locale>/messages.json and are read through chrome.i18n.
+
+const I18N_CONFIG = {
+    FALLBACK_LOCALE: 'en',
+    MINUS_SIGNS: /[\u2212\u2012\u2013\ufe63\uff0d]/g,
+    INVISIBLE_MARKS: /[\s\u200e\u200f\u061c]/g
+};
+
+/**
+ * Get the locale the extension's messages are shown in
+ * @returns {string} BCP 47 language tag, e.g. "de" or "en-US"
+ */
+function getLocale() {
+    if (typeof chrome !== 'undefined' && chrome.i18n && typeof chrome.i18n.getUILanguage === 'function') {
+        return chrome.i18n.getUILanguage() || I18N_CONFIG.FALLBACK_LOCALE;
+    }
+    return navigator.language || I18N_CONFIG.FALLBACK_LOCALE;
+}
+
+/**
+ * Look up a message without falling back to its key
+ * @param {string} key - Message name
+ * @param {Array} [substitutions] - Values for $1, $2, ...
+ * @returns {string} Message, or '' when it does not exist
+ */
+function getMessage(key, substitutions = []) {
+    if (typeof chrome === 'undefined' || !chrome.i18n || typeof chrome.i18n.getMessage !== 'function') {
+        return '';
+    }
+    return chrome.i18n.getMessage(key, [].concat(substitutions).map(String)) || '';
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Message name
+ * @param {Array|*} [substitutions] - Values for $1, $2, ...
+ * @returns {string} Translated message, or the key when it is missing
+ */
+function t(key, substitutions = []) {
+    return getMessage(key, substitutions) || key;
+}
+
+/**
+ * Translate a message that depends on a count
+ * Looks up `<key>_<plural category>` (e.g. solveProblems_one, solveProblems_two)
+ * for the current locale and falls back to `<key>_other`.
+ * @param {string} key - Message name without the plural suffix
+ * @param {number} count - Count that selects the plural form
+ * @param {Array} [substitutions] - Values for $1, $2, ...; defaults to the formatted count
+ * @returns {string} Translated message
+ */
+function tPlural(key, count, substitutions = [formatNumber(count)]) {
+    const category = new Intl.PluralRules(getLocale()).select(count);
+    return getMessage(`${key}_${category}`, substitutions) || getMessage(`${key}_other`, substitutions) || key;
+}
+
+/**
+ * Format a number for the current locale
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(getLocale(), options).format(value);
+}
+
+/**
+ * Parse a number typed in the current locale
+ * Accepts the locale's digits, grouping and decimal separators and minus
+ * signs, as well as plain ASCII numbers.
+ * @param {string} value - Typed text
+ * @returns {number} Parsed number, or NaN when the text is not a number
+ */
+function parseLocaleNumber(value) {
+    const locale = getLocale();
+    const parts = new Intl.NumberFormat(locale).formatToParts(-12345.6);
+    const group = (parts.find(part => part.type === 'group') || {}).value;
+    const decimal = (parts.find(part => part.type === 'decimal') || {}).value || '.';
+    const digitFormat = new Intl.NumberFormat(locale, { useGrouping: false });
+    
+    let normalized = String(value)
+        .replace(I18N_CONFIG.INVISIBLE_MARKS, '')
+        .replace(I18N_CONFIG.MINUS_SIGNS, '-');
+    
+    for (let digit = 0; digit <= 9; digit++) {
+        normalized = normalized.split(digitFormat.format(digit)).join(String(digit));
+    }
+    if (group && group.trim() !== '') {
+        normalized = normalized.split(group).join('');
+    }
+    if (decimal !== '.') {
+        normalized = normalized.replace(decimal, '.');
+    }
+    
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Get the writing direction of the current locale
+ * @returns {string} 'rtl' or 'ltr'
+ */
+function getTextDirection() {
+    return getMessage('@@bidi_dir') === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Translate the static text of a page or element tree
+ * Elements name their message with data-i18n (text), data-i18n-placeholder
+ * or data-i18n-title. data-i18n-plural picks a plural form for the element's
+ * data-i18n-count, or its value for options. A data-i18n-count on a plain
+ * data-i18n element is passed as $1.
+ * @param {ParentNode} [root] - Tree to translate, defaults to the document
+ */
+function localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(function(element) {
+        const substitutions = element.dataset.i18nCount ? [formatNumber(Number(element.dataset.i18nCount))] : [];
+        element.textContent = t(element.dataset.i18n, substitutions);
+    });
+    root.querySelectorAll('[data-i18n-plural]').forEach(function(element) {
+        const count = Number(element.dataset.i18nCount || element.value);
+        element.textContent = tPlural(element.dataset.i18nPlural, count);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(function(element) {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(function(element) {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
@@ -0,0 +1,161 @@
+// Temporary pause of all challenges, shared by the content script, popup and service worker
+// The end of the pause lives in chrome.storage.local; background.js ends it with an alarm.
+// Starting and ending pauses is recorded with appendHistoryEvent() from history.js, and the
+// protection state reads the schedule with schedule.js; both must load first.
+
+const PAUSE_CONFIG = {
+    STORAGE_KEY: 'pausedUntil',
+    ALARM_NAME: 'endPause',
+    OPTIONS: ['15m', '1h', 'tomorrow'],
+    DURATIONS: {
+        '15m': 15 * 60 * 1000,
+        '1h': 60 * 60 * 1000
+    },
+    // "tomorrow" ends at the next occurrence of this local hour
+    MORNING_HOUR: 8,
+    // Message names of the options in the popup, challenge and context menu
+    MESSAGES: {
+        '15m': 'pause15Minutes',
+        '1h': 'pause1Hour',
+        tomorrow: 'pauseUntilMorning'
+    }
+};
+
+/**
+ * Check if Chrome local storage is available for the pause
+ * @returns {boolean} Whether local storage is available
+ */
+function hasPauseStorage() {
+    return typeof chrome !== 'undefined' && !!(chrome.storage && chrome.storage.local);
+}
+
+/**
+ * Work out when a pause started now would end
+ * "tomorrow" runs until the next PAUSE_CONFIG.MORNING_HOUR local time, so a
+ * pause started late in the evening still lasts the night.
+ * @param {string} option - One of PAUSE_CONFIG.OPTIONS
+ * @param {number} [now] - Current time in ms
+ * @returns {number} End of the pause in ms
+ */
+function getPauseEnd(option, now = Date.now()) {
+    if (option === 'tomorrow') {
+        const morning = new Date(now);
+        morning.setHours(PAUSE_CONFIG.MORNING_HOUR, 0, 0, 0);
+        if (morning.getTime() <= now) {
+            morning.setDate(morning.getDate() + 1);
+        }
+        return morning.getTime();
+    }
+    return now + PAUSE_CONFIG.DURATIONS[option];
+}
+
+/**
+ * Check whether a pause is running
+ * @param {number} pausedUntil - End of the pause in ms, 0 when there is none
+ * @param {number} [now] - Current time in ms
+ * @returns {boolean} Whether challenges are paused
+ */
+function isPaused(pausedUntil, now = Date.now()) {
+    return pausedUntil > now;
+}
+
+/**
+ * Check whether the user may pause challenges
+ * An administrator who enforces `enabled` has ruled out turning protection
+ * off, and a pause would do just that.
+ * @param {Array<string>} lockedKeys - Settings locked by administrator policy
+ * @returns {boolean} Whether pausing is allowed
+ */
+function canPause(lockedKeys) {
+    return !lockedKeys.includes('enabled');
+}
+
+/**
+ * Work out whether protection is on at a moment, for the popup and toolbar badge
+ * @param {Object} currentSettings - Effective settings
+ * @param {Array<string>} lockedKeys - Settings locked by administrator policy
+ * @param {number} pausedUntil - End of the pause in ms, 0 when there is none
+ * @param {Date} [date] - Moment to check
+ * @returns {string} 'disabled', 'paused', 'idle' (outside scheduled hours) or 'active'
+ */
+function getProtectionState(currentSettings, lockedKeys, pausedUntil, date = new Date()) {
+    if (!currentSettings.enabled) {
+        return 'disabled';
+    }
+    if (canPause(lockedKeys) && isPaused(pausedUntil, date.getTime())) {
+        return 'paused';
+    }
+    if (currentSettings.nightMode && !isWithinSchedule(currentSettings.schedule, date)) {
+        return 'idle';
+    }
+    return 'active';
+}
+
+/**
+ * Format the end of a pause, with the weekday when it is not today
+ * @param {number} pausedUntil - End of the pause in ms
+ * @param {number} [now] - Current time in ms
+ * @returns {string} Localized time, e.g. "3:45 PM" or "Tue 12:00 AM"
+ */
+function formatPauseEnd(pausedUntil, now = Date.now()) {
+    const sameDay = new Date(pausedUntil).toDateString() === new Date(now).toDateString();
+    return new Date(pausedUntil).toLocaleString(getLocale(), sameDay
+        ? { hour: 'numeric', minute: '2-digit' }
+        : { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Load the end of the current pause
+ * @returns {Promise<number>} Promise resolving to the end in ms, 0 when there is none
+ */
+function loadPause() {
+    return new Promise((resolve) => {
+        if (!hasPauseStorage()) {
+            resolve(0);
+            return;
+        }
+        
+        chrome.storage.local.get(PAUSE_CONFIG.STORAGE_KEY, function(result) {
+            if (chrome.runtime.lastError) {
+                console.error('Error loading pause:', chrome.runtime.lastError.message);
+                resolve(0);
+            } else {
+                resolve(Number(result[PAUSE_CONFIG.STORAGE_KEY]) || 0);
+            }
+        });
+    });
+}
+
+/**
+ * Pause all challenges and record it in the history
+ * @param {string} option - One of PAUSE_CONFIG.OPTIONS
+ * @param {string} source - Where the pause was started: 'popup', 'challenge' or 'menu'
+ * @param {number} retentionDays - Days of history to keep
+ * @returns {number} End of the pause in ms
+ */
+function startPause(option, source, retentionDays) {
+    const now = Date.now();
+    const pausedUntil = getPauseEnd(option, now);
+    
+    if (hasPauseStorage()) {
+        chrome.storage.local.set({ [PAUSE_CONFIG.STORAGE_KEY]: pausedUntil }, function() {
+            if (chrome.runtime.lastError) {
+                console.error('Error saving pause:', chrome.runtime.lastError.message);
+            }
+        });
+    }
+    appendHistoryEvent({ type: 'paused', time: now, until: pausedUntil, option, source }, retentionDays);
+    
+    return pausedUntil;
+}
+
+/**
+ * End a pause before its time and record it in the history
+ * @param {number} retentionDays - Days of history to keep
+ */
+function endPause(retentionDays) {
+    if (hasPauseStorage()) {
+        chrome.storage.local.remove(PAUSE_CONFIG.STORAGE_KEY);
+    }
+    appendHistoryEvent({ type: 'resumed', time: Date.now() }, retentionDays);
+}
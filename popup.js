@@ -3,32 +3,119 @@ const POPUP_CONFIG = {
     SAVE_TIMEOUT: 3000,
     LOAD_TIMEOUT: 3000,
     STATUS_DISPLAY_TIME: 1500,
-    DEFAULT_SETTINGS: {
-        enabled: true,
-        nightMode: false,
-        numProblems: 3,
-        timeLimit: 60
+    ACTIVE_NOW_REFRESH: 30000,
+    RULE_CONDITIONS: {
+        externalDomain: 'ruleConditionExternal',
+        watchList: 'ruleConditionWatchList',
+        recipientCount: 'ruleConditionCount'
+    },
+    RULE_PLACEHOLDERS: {
+        externalDomain: 'ourcompany.com',
+        watchList: 'boss@example.com, @rival.com',
+        recipientCount: '5'
+    },
+    RULE_ACTIONS: {
+        challenge: 'ruleActionChallenge',
+        skip: 'ruleActionSkip'
+    },
+    // Time limits offered in seconds; a policy or import value is added to these
+    TIME_LIMIT_OPTIONS: [0, 30, 60, 120, 300],
+    // Adaptive mode thresholds and the inputs that edit them
+    ADAPTIVE_FIELDS: {
+        wrongAttempts: 'adaptiveWrongAttempts',
+        burstSends: 'adaptiveBurstSends',
+        burstMinutes: 'adaptiveBurstMinutes',
+        burstExtraProblems: 'adaptiveBurstExtraProblems',
+        lockoutFailures: 'adaptiveLockoutFailures',
+        lockoutMinutes: 'adaptiveLockoutMinutes'
+    },
+    DIFFICULTY_DESCRIPTIONS: {
+        easy: 'descDifficultyEasy',
+        medium: 'descDifficultyMedium',
+        hard: 'descDifficultyHard',
+        custom: 'descDifficultyCustom'
+    },
+    SETTING_LABELS: {
+        enabled: 'labelEnabled',
+        nightMode: 'labelNightMode',
+        schedule: 'labelSchedule',
+        numProblems: 'labelNumProblems',
+        timeLimit: 'labelTimeLimit',
+        timer: 'labelTimerOptions',
+        holdSeconds: 'labelHold',
+        coolingOff: 'labelCoolingOff',
+        historyRetentionDays: 'labelRetention',
+        difficulty: 'labelDifficulty',
+        customDifficulty: 'labelCustomDifficulty',
+        challengeType: 'labelChallengeType',
+        challengeWeights: 'labelWeights',
+        rules: 'labelRules',
+        ruleFallback: 'ruleFallbackLabel',
+        contentTriggers: 'labelContentTriggers',
+        adaptive: 'labelAdaptive',
+        theme: 'labelTheme'
+    },
+    SEND_PATHS: {
+        send: 'pathSend',
+        shortcut: 'pathShortcut',
+        scheduleSend: 'pathScheduleSend',
+        sendArchive: 'pathSendArchive'
+    },
+    DETECTION_STRATEGIES: {
+        selector: 'strategySelector',
+        label: 'strategyLabel',
+        adapter: 'strategyAdapter',
+        text: 'strategyText',
+        shortcut: 'strategyShortcut',
+        structure: 'strategyStructure'
+    },
+    PROTECTION_MESSAGES: {
+        active: 'activeOn',
+        idle: 'activeIdle',
+        paused: 'activePaused',
+        disabled: 'activeOff'
+    },
+    PAUSE_SOURCES: {
+        popup: 'pauseSourcePopup',
+        challenge: 'pauseSourceChallenge',
+        menu: 'pauseSourceMenu'
+    },
+    // History events listed in the pause log, newest first
+    PAUSE_LOG_EVENTS: ['paused', 'resumed', 'bypassed'],
+    MAX_PAUSE_LOG_ENTRIES: 20,
+    EXPORT_FILENAME: 'mail-goggles-settings.json',
+    POLICY_CONTROLS: {
+        enabled: ['enabled', 'pauseControls'],
+        nightMode: ['nightMode'],
+        schedule: ['scheduleEditor'],
+        numProblems: ['numProblems'],
+        timeLimit: ['timeLimit'],
+        timer: ['timerOptions'],
+        holdSeconds: ['holdSeconds'],
+        coolingOff: ['coolingOffEnabled', 'coolingOffOptions'],
+        historyRetentionDays: ['historyRetentionDays'],
+        difficulty: ['difficulty'],
+        customDifficulty: ['customDifficulty'],
+        challengeType: ['challengeType'],
+        challengeWeights: ['challengeWeights'],
+        rules: ['rulesList', 'addRuleBtn'],
+        ruleFallback: ['ruleFallback'],
+        contentTriggers: ['contentTriggersEnabled', 'contentTriggerOptions'],
+        adaptive: ['adaptiveEnabled', 'adaptiveOptions'],
+        theme: ['theme']
     }
 };
 
 // Global state
-let settings = { ...POPUP_CONFIG.DEFAULT_SETTINGS };
+let settings = validateSettings(SETTINGS_CONFIG.DEFAULT_SETTINGS);
+let userSettings = settings;
+let managedPolicy = {};
+let policyLocks = { lockedKeys: [], minProblems: 1 };
 let isLoading = false;
 let loadTimeout = null;
-
-/**
- * Validates and sanitizes settings object
- * @param {Object} rawSettings - Raw settings from storage
- * @returns {Object} Validated settings
- */
-function validateSettings(rawSettings) {
-    return {
-        enabled: Boolean(rawSettings.enabled),
-        nightMode: Boolean(rawSettings.nightMode),
-        numProblems: Math.min(Math.max(parseInt(rawSettings.numProblems) || 3, 1), 10),
-        timeLimit: Math.min(Math.max(parseInt(rawSettings.timeLimit) || 60, 0), 3600)
-    };
-}
+let statsDays = 7;
+let pendingImport = null;
+let pausedUntil = 0;
 
 /**
  * Safe logging function that prevents XSS
@@ -82,6 +169,619 @@ function setStatus(message, type = 'loading') {
     status.className = `status ${type}`;
 }
 
+/**
+ * Translate a value -> message name map into a value -> label map
+ * @param {Object} messageKeys - Message names keyed by value
+ * @returns {Object} Translated labels keyed by value
+ */
+function translateLabels(messageKeys) {
+    const labels = {};
+    Object.keys(messageKeys).forEach(function(value) {
+        labels[value] = t(messageKeys[value]);
+    });
+    return labels;
+}
+
+/**
+ * Create a select element from a value -> label map
+ * @param {Object} options - Option labels keyed by value
+ * @param {string} value - Selected value
+ * @returns {HTMLSelectElement} Select element
+ */
+function createSelect(options, value) {
+    const select = document.createElement('select');
+    fillSelect(select, options);
+    select.value = value;
+    return select;
+}
+
+/**
+ * Replace the options of a select with a value -> label map
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Object} options - Option labels keyed by value
+ */
+function fillSelect(select, options) {
+    select.textContent = '';
+    
+    Object.keys(options).forEach(function(optionValue) {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = options[optionValue];
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Render the recipient rules editor
+ */
+function renderRules() {
+    const list = document.getElementById('rulesList');
+    list.textContent = '';
+    
+    settings.rules.forEach(function(rule, index) {
+        const row = document.createElement('div');
+        row.className = 'rule';
+        
+        const condition = createSelect(translateLabels(POPUP_CONFIG.RULE_CONDITIONS), rule.condition);
+        condition.onchange = function() {
+            if (isLoading) return;
+            log(`Rule ${index + 1} condition changed to ${this.value}`, 'info');
+            settings.rules[index] = validateRules([{ ...rule, condition: this.value }])[0];
+            renderRules();
+            saveSettings();
+        };
+        
+        const value = document.createElement('input');
+        value.type = rule.condition === 'recipientCount' ? 'number' : 'text';
+        value.placeholder = POPUP_CONFIG.RULE_PLACEHOLDERS[rule.condition];
+        value.value = rule.value;
+        value.onchange = function() {
+            if (isLoading) return;
+            log(`Rule ${index + 1} value changed`, 'info');
+            settings.rules[index] = validateRules([{ ...rule, value: this.value }])[0];
+            saveSettings();
+        };
+        
+        const action = createSelect(translateLabels(POPUP_CONFIG.RULE_ACTIONS), rule.action);
+        action.onchange = function() {
+            if (isLoading) return;
+            log(`Rule ${index + 1} action changed to ${this.value}`, 'info');
+            settings.rules[index].action = this.value;
+            renderRules();
+            saveSettings();
+        };
+        
+        const problems = createSelect(getProblemCountOptions(), rule.numProblems);
+        problems.disabled = rule.action !== 'challenge';
+        Array.from(problems.options).forEach(function(option) {
+            option.disabled = parseInt(option.value) < policyLocks.minProblems;
+        });
+        problems.onchange = function() {
+            if (isLoading) return;
+            log(`Rule ${index + 1} problems changed to ${this.value}`, 'info');
+            settings.rules[index].numProblems = parseInt(this.value);
+            saveSettings();
+        };
+        
+        const remove = document.createElement('button');
+        remove.className = 'remove-btn';
+        remove.textContent = '×';
+        remove.title = t('removeRule');
+        remove.onclick = function() {
+            if (isLoading) return;
+            log(`Rule ${index + 1} removed`, 'info');
+            settings.rules.splice(index, 1);
+            renderRules();
+            saveSettings();
+        };
+        
+        row.appendChild(condition);
+        row.appendChild(remove);
+        row.appendChild(value);
+        row.appendChild(action);
+        row.appendChild(problems);
+        list.appendChild(row);
+    });
+    
+    document.getElementById('addRuleBtn').disabled = settings.rules.length >= SETTINGS_CONFIG.MAX_RULES;
+    document.getElementById('ruleFallback').value = settings.ruleFallback;
+    document.getElementById('ruleFallbackRow').style.display = settings.rules.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Render the weekly schedule editor
+ */
+function renderSchedule() {
+    const editor = document.getElementById('scheduleDays');
+    const weekdayFormat = new Intl.DateTimeFormat(getLocale(), { weekday: 'short' });
+    editor.textContent = '';
+    
+    SCHEDULE_CONFIG.DAYS.forEach(function(dayName, day) {
+        const row = document.createElement('div');
+        row.className = 'schedule-day';
+        
+        const label = document.createElement('span');
+        label.className = 'schedule-day-name';
+        // 4 January 2026 was a Sunday, matching day index 0
+        label.textContent = weekdayFormat.format(new Date(2026, 0, 4 + day));
+        row.appendChild(label);
+        
+        const windows = document.createElement('div');
+        windows.className = 'schedule-windows';
+        
+        settings.schedule.windows[day].forEach(function(timeWindow, index) {
+            const windowEl = document.createElement('div');
+            windowEl.className = 'schedule-window';
+            
+            ['start', 'end'].forEach(function(edge) {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.value = timeWindow[edge];
+                input.onchange = function() {
+                    if (isLoading || !this.value) return;
+                    log(`${dayName} window ${index + 1} ${edge} changed to ${this.value}`, 'info');
+                    settings.schedule.windows[day][index][edge] = this.value;
+                    updateActiveNow();
+                    saveSettings();
+                };
+                windowEl.appendChild(input);
+                
+                if (edge === 'start') {
+                    const dash = document.createElement('span');
+                    dash.textContent = '–';
+                    windowEl.appendChild(dash);
+                }
+            });
+            
+            const remove = document.createElement('button');
+            remove.className = 'remove-btn';
+            remove.textContent = '×';
+            remove.title = t('removeWindow');
+            remove.onclick = function() {
+                if (isLoading) return;
+                log(`${dayName} window ${index + 1} removed`, 'info');
+                settings.schedule.windows[day].splice(index, 1);
+                renderSchedule();
+                updateActiveNow();
+                saveSettings();
+            };
+            windowEl.appendChild(remove);
+            
+            windows.appendChild(windowEl);
+        });
+        
+        row.appendChild(windows);
+        
+        const add = document.createElement('button');
+        add.className = 'schedule-add';
+        add.textContent = '+';
+        add.title = t('addWindow');
+        add.disabled = settings.schedule.windows[day].length >= SCHEDULE_CONFIG.MAX_WINDOWS_PER_DAY;
+        add.onclick = function() {
+            if (isLoading) return;
+            log(`${dayName} window added`, 'info');
+            settings.schedule.windows[day].push({ ...SCHEDULE_CONFIG.DEFAULT_WINDOW });
+            renderSchedule();
+            updateActiveNow();
+            saveSettings();
+        };
+        row.appendChild(add);
+        
+        editor.appendChild(row);
+    });
+    
+    document.getElementById('timeZone').value = settings.schedule.timeZone;
+}
+
+/**
+ * Show whether protection is active at this moment
+ */
+function updateActiveNow() {
+    const activeNow = document.getElementById('activeNow');
+    const state = getProtectionState(settings, policyLocks.lockedKeys, pausedUntil);
+    
+    renderPause();
+    
+    activeNow.textContent = t(POPUP_CONFIG.PROTECTION_MESSAGES[state], formatPauseEnd(pausedUntil));
+    activeNow.className = `active-now ${state}`;
+}
+
+/**
+ * Show the pause options, or when the running pause ends
+ */
+function renderPause() {
+    const paused = isPaused(pausedUntil);
+    document.getElementById('pauseControls').classList.toggle('paused', paused);
+    document.getElementById('pauseStatusText').textContent = paused ? t('pausedUntil', formatPauseEnd(pausedUntil)) : '';
+}
+
+/**
+ * Describe a pause log event
+ * @param {Object} event - 'paused', 'resumed' or 'bypassed' history event
+ * @returns {string} Human-readable description
+ */
+function describePauseEvent(event) {
+    if (event.type === 'paused') {
+        return t('logPaused', [
+            formatPauseEnd(event.until, event.time),
+            t(POPUP_CONFIG.PAUSE_SOURCES[event.source] || 'pauseSourcePopup')
+        ]);
+    }
+    if (event.type === 'resumed') {
+        return t(['alarm', 'startup'].includes(event.source) ? 'logPauseEnded' : 'logResumed');
+    }
+    return t('logBypassed', t(POPUP_CONFIG.SEND_PATHS[event.path] || 'pathSend'));
+}
+
+/**
+ * List the pauses and skipped sends of the selected period, newest first
+ * @param {Array<Object>} events - History events, oldest first
+ */
+function renderPauseLog(events) {
+    const list = document.getElementById('pauseLog');
+    const since = startOfDay(Date.now(), -(statsDays - 1)).getTime();
+    const entries = events
+        .filter(event => POPUP_CONFIG.PAUSE_LOG_EVENTS.includes(event.type) && event.time >= since)
+        .slice(-POPUP_CONFIG.MAX_PAUSE_LOG_ENTRIES)
+        .reverse();
+    
+    list.textContent = '';
+    
+    if (entries.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = t('logEmpty');
+        list.appendChild(item);
+        return;
+    }
+    
+    entries.forEach(function(event) {
+        const item = document.createElement('li');
+        const time = document.createElement('time');
+        time.dateTime = new Date(event.time).toISOString();
+        time.textContent = new Date(event.time).toLocaleString(getLocale(), {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        item.appendChild(time);
+        item.appendChild(document.createTextNode(describePauseEvent(event)));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Get local midnight of a day offset from a point in time
+ * @param {number} time - Point in time in ms
+ * @param {number} [dayOffset] - Days to add
+ * @returns {Date} Local midnight
+ */
+function startOfDay(time, dayOffset = 0) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + dayOffset);
+    return date;
+}
+
+/**
+ * Aggregate history events over the last N days
+ * @param {Array<Object>} events - History events
+ * @param {number} days - Period length in days, including today
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Counts, average solve time and per-day / per-hour challenge counts
+ */
+function summarizeHistory(events, days, now = Date.now()) {
+    const since = startOfDay(now, -(days - 1));
+    const recent = events.filter(event => event.time >= since.getTime());
+    const count = type => recent.filter(event => event.type === type).length;
+    const solveTimes = recent
+        .filter(event => event.type === 'passed' && event.solveMs > 0)
+        .map(event => event.solveMs);
+    
+    const daily = Array.from({ length: days }, (_, i) => ({ date: startOfDay(since.getTime(), i), count: 0 }));
+    const hourly = new Array(24).fill(0);
+    
+    recent.filter(event => event.type === 'shown').forEach(function(event) {
+        const dayIndex = Math.round((startOfDay(event.time) - since) / HISTORY_CONFIG.DAY_MS);
+        if (daily[dayIndex]) {
+            daily[dayIndex].count++;
+        }
+        hourly[new Date(event.time).getHours()]++;
+    });
+    
+    return {
+        shown: count('shown'),
+        passed: count('passed'),
+        failed: count('failed'),
+        expired: count('expired'),
+        abandoned: count('abandoned'),
+        averageSolveMs: solveTimes.length > 0
+            ? solveTimes.reduce((sum, ms) => sum + ms, 0) / solveTimes.length
+            : null,
+        daily,
+        hourly
+    };
+}
+
+/**
+ * Render a bar chart from values
+ * @param {HTMLElement} container - Chart container
+ * @param {number[]} values - Bar values
+ * @param {string[]} labels - Bar tooltips
+ */
+function renderBarChart(container, values, labels) {
+    const max = Math.max(1, ...values);
+    container.textContent = '';
+    
+    values.forEach(function(value, i) {
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.height = `${Math.round(value / max * 100)}%`;
+        bar.title = `${labels[i]}: ${formatNumber(value)}`;
+        container.appendChild(bar);
+    });
+}
+
+/**
+ * Load history and render the stats view for the selected period
+ * @returns {Promise<void>} Promise that resolves when rendered
+ */
+function renderStats() {
+    return loadHistory().then(function(events) {
+        const kept = pruneHistory(events, settings.historyRetentionDays);
+        const summary = summarizeHistory(kept, statsDays);
+        const dateFormat = { month: 'short', day: 'numeric' };
+        
+        document.getElementById('statShown').textContent = formatNumber(summary.shown);
+        document.getElementById('statPassed').textContent = formatNumber(summary.passed);
+        document.getElementById('statFailed').textContent = formatNumber(summary.failed);
+        document.getElementById('statExpired').textContent = formatNumber(summary.expired);
+        document.getElementById('statAbandoned').textContent = formatNumber(summary.abandoned);
+        document.getElementById('statSolveTime').textContent = summary.averageSolveMs === null
+            ? '–'
+            : t('solveSeconds', formatNumber(summary.averageSolveMs / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }));
+        
+        renderBarChart(
+            document.getElementById('dailyChart'),
+            summary.daily.map(day => day.count),
+            summary.daily.map(day => day.date.toLocaleDateString(getLocale(), dateFormat))
+        );
+        document.getElementById('dailyStart').textContent = summary.daily[0].date.toLocaleDateString(getLocale(), dateFormat);
+        document.getElementById('dailyEnd').textContent = summary.daily[summary.daily.length - 1].date.toLocaleDateString(getLocale(), dateFormat);
+        
+        renderBarChart(
+            document.getElementById('hourChart'),
+            summary.hourly,
+            summary.hourly.map((_, hour) => `${hour}:00`)
+        );
+        
+        document.querySelectorAll('.period').forEach(function(button) {
+            button.classList.toggle('active', parseInt(button.dataset.days) === statsDays);
+        });
+        
+        renderPauseLog(kept);
+        
+        log(`Stats rendered: ${summary.shown} challenges in ${statsDays} days`, 'info');
+    });
+}
+
+/**
+ * Show a diagnostics report from the content script
+ * @param {Object} report - Report from the active tab
+ */
+function showDiagnostics(report) {
+    const summary = document.getElementById('diagnosticsSummary');
+    const list = document.getElementById('diagnosticsButtons');
+    
+    document.getElementById('diagComposeCount').textContent = formatNumber(report.composeWindows);
+    document.getElementById('diagButtonCount').textContent = formatNumber(report.protectedButtons);
+    document.getElementById('diagUnprotectedCount').textContent = formatNumber(report.unprotectedWindows);
+    
+    if (report.unprotectedWindows > 0) {
+        summary.textContent = tPlural('diagnosticsUnprotected', report.unprotectedWindows);
+        summary.className = 'diagnostics-summary warning';
+    } else if (report.composeWindows === 0) {
+        summary.textContent = t('diagnosticsNoCompose', report.site);
+        summary.className = 'diagnostics-summary';
+    } else {
+        summary.textContent = t('diagnosticsOk', report.site);
+        summary.className = 'diagnostics-summary ok';
+    }
+    
+    list.textContent = '';
+    report.buttons.forEach(function(button) {
+        const item = document.createElement('li');
+        item.textContent = t('diagnosticsButton', [
+            formatNumber(button.composeId),
+            t(POPUP_CONFIG.SEND_PATHS[button.path]),
+            t(POPUP_CONFIG.DETECTION_STRATEGIES[button.strategy]),
+            formatNumber(button.confidence, { style: 'percent' })
+        ]);
+        item.title = button.signals.map(signal => t(POPUP_CONFIG.DETECTION_STRATEGIES[signal])).join(', ');
+        list.appendChild(item);
+    });
+    
+    log(`Diagnostics: ${report.composeWindows} compose windows, ${report.protectedButtons} protected buttons, ${report.unprotectedWindows} unprotected`, report.unprotectedWindows > 0 ? 'warning' : 'success');
+}
+
+/**
+ * Ask the content script in the active tab for a diagnostics report and show it
+ * @returns {Promise<Object|null>} Promise resolving to the report, or null when the tab did not answer
+ */
+function renderDiagnostics() {
+    const summary = document.getElementById('diagnosticsSummary');
+    summary.textContent = t('diagnosticsRunning');
+    summary.className = 'diagnostics-summary';
+    
+    return new Promise(function(resolve) {
+        const notRunning = function(reason) {
+            log('Diagnostics unavailable: ' + reason, 'warning');
+            summary.textContent = t('diagnosticsNotRunning');
+            summary.className = 'diagnostics-summary warning';
+            ['diagComposeCount', 'diagButtonCount', 'diagUnprotectedCount'].forEach(function(id) {
+                document.getElementById(id).textContent = '–';
+            });
+            document.getElementById('diagnosticsButtons').textContent = '';
+            resolve(null);
+        };
+        
+        if (typeof chrome === 'undefined' || !chrome.tabs) {
+            notRunning('tabs API not available');
+            return;
+        }
+        
+        chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+            const tab = tabs && tabs[0];
+            if (!tab) {
+                notRunning('no active tab');
+                return;
+            }
+            
+            chrome.tabs.sendMessage(tab.id, { type: 'getDiagnostics' }, function(report) {
+                if (chrome.runtime.lastError || !report) {
+                    notRunning(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no response');
+                    return;
+                }
+                
+                showDiagnostics(report);
+                resolve(report);
+            });
+        });
+    });
+}
+
+/**
+ * Open a practice challenge with the current settings in the active mail tab
+ * Nothing is sent or recorded; the challenge ends with the solve time and
+ * accuracy. The popup closes so the challenge can take focus.
+ */
+function startPractice() {
+    const unavailable = function(reason) {
+        log('Practice unavailable: ' + reason, 'warning');
+        setStatus(t('practiceUnavailable'), 'warning');
+    };
+    
+    if (typeof chrome === 'undefined' || !chrome.tabs) {
+        unavailable('tabs API not available');
+        return;
+    }
+    
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+        const tab = tabs && tabs[0];
+        if (!tab) {
+            unavailable('no active tab');
+            return;
+        }
+        
+        chrome.tabs.sendMessage(tab.id, { type: 'runPractice', settings }, function(response) {
+            if (chrome.runtime.lastError || !response) {
+                unavailable(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'no response');
+            } else if (!response.started) {
+                log('Practice not started: a challenge is already open', 'warning');
+                setStatus(t('practiceBusy'), 'warning');
+            } else {
+                log('Practice challenge opened', 'success');
+                window.close();
+            }
+        });
+    });
+}
+
+/**
+ * Switch between the settings, stats and diagnostics views
+ * @param {string} viewId - Id of the view to show
+ */
+function showView(viewId) {
+    document.querySelectorAll('.view').forEach(function(view) {
+        view.classList.toggle('active', view.id === viewId);
+    });
+    document.querySelectorAll('.view-tab').forEach(function(tab) {
+        tab.classList.toggle('active', tab.dataset.view === viewId);
+    });
+    
+    if (viewId === 'statsView') {
+        renderStats();
+    } else if (viewId === 'diagnosticsView') {
+        renderDiagnostics();
+    }
+}
+
+/**
+ * Use stored user settings, with administrator policy applied on top
+ * @param {Object} storedSettings - Validated user settings
+ */
+function useSettings(storedSettings) {
+    const managed = applyPolicy(storedSettings, managedPolicy);
+    userSettings = storedSettings;
+    settings = managed.settings;
+    policyLocks = { lockedKeys: managed.lockedKeys, minProblems: managed.minProblems };
+}
+
+/**
+ * Get the problem count to store for a value the policy's minimum may have raised
+ * @param {number} value - Problem count in effect
+ * @param {number} userValue - The user's stored problem count
+ * @returns {number} The user's own count when the value is just that count raised to the minimum
+ */
+function withoutProblemFloor(value, userValue) {
+    return value === Math.max(userValue, policyLocks.minProblems) ? userValue : value;
+}
+
+/**
+ * Check whether a setting is locked by administrator policy
+ * @param {string} key - Setting key
+ * @returns {boolean} Whether the user may not change it
+ */
+function isLocked(key) {
+    return policyLocks.lockedKeys.includes(key);
+}
+
+/**
+ * Add a policy note to a setting block, once
+ * @param {HTMLElement} block - Setting block
+ * @param {string} text - Note text
+ */
+function addPolicyNote(block, text) {
+    if (!block || block.querySelector('.policy-note')) return;
+    
+    const note = document.createElement('div');
+    note.className = 'policy-note';
+    note.textContent = text;
+    block.appendChild(note);
+}
+
+/**
+ * Disable controls for settings locked by administrator policy
+ * Called after every render, since the rule and schedule editors rebuild
+ * their controls.
+ */
+function renderPolicyLocks() {
+    document.querySelectorAll('.policy-note').forEach(note => note.remove());
+    
+    policyLocks.lockedKeys.forEach(function(key) {
+        POPUP_CONFIG.POLICY_CONTROLS[key].forEach(function(id) {
+            const control = document.getElementById(id);
+            control.classList.add('locked');
+            [control, ...control.querySelectorAll('input, select, textarea, button')].forEach(function(element) {
+                if ('disabled' in element) {
+                    element.disabled = true;
+                }
+            });
+            addPolicyNote(control.closest('.setting'), t('policyLocked'));
+        });
+    });
+    
+    Array.from(document.getElementById('numProblems').options).forEach(function(option) {
+        option.disabled = parseInt(option.value) < policyLocks.minProblems;
+    });
+    if (policyLocks.minProblems > 1) {
+        addPolicyNote(
+            document.getElementById('numProblems').closest('.setting'),
+            tPlural('policyMinProblems', policyLocks.minProblems)
+        );
+    }
+}
+
 /**
  * Update UI elements based on current settings
  */
@@ -93,24 +793,80 @@ function updateUI() {
     
     if (settings.enabled) {
         enabledEl.classList.add('on');
-        document.getElementById('enabledText').textContent = 'ON';
+        document.getElementById('enabledText').textContent = t('toggleOn');
         enabledEl.parentElement.parentElement.classList.add('highlight');
     } else {
         enabledEl.classList.remove('on');
-        document.getElementById('enabledText').textContent = 'OFF';
+        document.getElementById('enabledText').textContent = t('toggleOff');
         enabledEl.parentElement.parentElement.classList.remove('highlight');
     }
     
     if (settings.nightMode) {
         nightEl.classList.add('on');
-        document.getElementById('nightText').textContent = 'ON';
+        document.getElementById('nightText').textContent = t('toggleOn');
     } else {
         nightEl.classList.remove('on');
-        document.getElementById('nightText').textContent = 'OFF';
+        document.getElementById('nightText').textContent = t('toggleOff');
     }
     
+    document.getElementById('scheduleEditor').style.display = settings.nightMode ? 'block' : 'none';
+    renderSchedule();
+    updateActiveNow();
+    
+    const triggersEl = document.getElementById('contentTriggersEnabled');
+    triggersEl.classList.toggle('on', settings.contentTriggers.enabled);
+    document.getElementById('contentTriggersText').textContent = t(settings.contentTriggers.enabled ? 'toggleOn' : 'toggleOff');
+    document.getElementById('contentTriggerOptions').style.display = settings.contentTriggers.enabled ? 'block' : 'none';
+    document.getElementById('triggerKeywords').value = settings.contentTriggers.keywords;
+    document.getElementById('triggerCaps').value = settings.contentTriggers.capsRatio;
+    document.getElementById('triggerExclamations').value = settings.contentTriggers.exclamationCount;
+    document.getElementById('triggerAttachment').checked = settings.contentTriggers.missingAttachment;
+    
+    const coolingOffEl = document.getElementById('coolingOffEnabled');
+    coolingOffEl.classList.toggle('on', settings.coolingOff.enabled);
+    document.getElementById('coolingOffText').textContent = t(settings.coolingOff.enabled ? 'toggleOn' : 'toggleOff');
+    document.getElementById('coolingOffOptions').style.display = settings.coolingOff.enabled ? 'block' : 'none';
+    document.getElementById('coolingOffWait').value = settings.coolingOff.waitSeconds;
+    
+    const adaptiveEl = document.getElementById('adaptiveEnabled');
+    adaptiveEl.classList.toggle('on', settings.adaptive.enabled);
+    document.getElementById('adaptiveText').textContent = t(settings.adaptive.enabled ? 'toggleOn' : 'toggleOff');
+    document.getElementById('adaptiveOptions').style.display = settings.adaptive.enabled ? 'block' : 'none';
+    Object.entries(POPUP_CONFIG.ADAPTIVE_FIELDS).forEach(function([field, id]) {
+        document.getElementById(id).value = settings.adaptive[field];
+    });
+    
     document.getElementById('numProblems').value = settings.numProblems;
+    populateTimeLimits(settings.timeLimit);
     document.getElementById('timeLimit').value = settings.timeLimit;
+    document.getElementById('timerOptions').style.display = settings.timeLimit > 0 ? 'block' : 'none';
+    document.getElementById('timerGrace').value = settings.timer.graceSeconds;
+    document.getElementById('timerRegenerate').value = settings.timer.regenerate;
+    document.getElementById('timerPauseHidden').checked = settings.timer.pauseWhenHidden;
+    document.getElementById('holdSeconds').value = settings.holdSeconds;
+    document.getElementById('historyRetentionDays').value = settings.historyRetentionDays;
+    document.getElementById('challengeType').value = settings.challengeType;
+    document.getElementById('theme').value = settings.theme;
+    
+    renderRules();
+    
+    document.getElementById('difficulty').value = settings.difficulty;
+    document.getElementById('difficultyText').textContent = t(POPUP_CONFIG.DIFFICULTY_DESCRIPTIONS[settings.difficulty]);
+    document.getElementById('customDifficulty').style.display = settings.difficulty === 'custom' ? 'block' : 'none';
+    document.getElementById('minOperand').value = settings.customDifficulty.minOperand;
+    document.getElementById('maxOperand').value = settings.customDifficulty.maxOperand;
+    document.getElementById('allowNegative').checked = settings.customDifficulty.allowNegative;
+    document.getElementById('multiStep').checked = settings.customDifficulty.multiStep;
+    document.querySelectorAll('#customOperators input').forEach(function(input) {
+        input.checked = settings.customDifficulty.operators.includes(input.value);
+    });
+    
+    document.getElementById('challengeWeights').style.display = settings.challengeType === 'mix' ? 'grid' : 'none';
+    document.querySelectorAll('#challengeWeights input').forEach(function(input) {
+        input.value = settings.challengeWeights[input.dataset.type];
+    });
+    
+    renderPolicyLocks();
     
     log('UI updated successfully', 'success');
 }
@@ -124,12 +880,12 @@ function saveSettings() {
     
     isLoading = true;
     log('Saving settings...', 'info');
-    setStatus('Saving settings...', 'loading');
+    setStatus(t('statusSaving'), 'loading');
     
     return new Promise((resolve) => {
         if (!hasStorageAPI()) {
             log('Chrome storage not available', 'error');
-            setStatus('Storage unavailable', 'error');
+            setStatus(t('statusStorageUnavailable'), 'error');
             isLoading = false;
             resolve();
             return;
@@ -139,23 +895,38 @@ function saveSettings() {
         const saveTimeout = setTimeout(() => {
             isLoading = false;
             log('Save operation timed out', 'warning');
-            setStatus('Save timeout - using defaults', 'warning');
+            setStatus(t('statusSaveTimeout'), 'warning');
             resolve();
         }, POPUP_CONFIG.SAVE_TIMEOUT);
         
+        // Locked settings, and problem counts only raised by the policy's
+        // minimum, keep the user's own value so it returns if the policy is lifted
+        const storedSettings = {
+            ...settings,
+            numProblems: withoutProblemFloor(settings.numProblems, userSettings.numProblems),
+            rules: settings.rules.map(function(rule) {
+                const own = userSettings.rules.find(userRule => userRule.condition === rule.condition && userRule.value === rule.value);
+                return own ? { ...rule, numProblems: withoutProblemFloor(rule.numProblems, own.numProblems) } : rule;
+            })
+        };
+        policyLocks.lockedKeys.forEach(function(key) {
+            storedSettings[key] = userSettings[key];
+        });
+        
         try {
-            chrome.storage.sync.set(settings, function() {
+            chrome.storage.sync.set(storedSettings, function() {
                 clearTimeout(saveTimeout);
                 isLoading = false;
                 
                 if (chrome.runtime.lastError) {
                     log('Save error: ' + chrome.runtime.lastError.message, 'error');
-                    setStatus('Save failed', 'error');
+                    setStatus(t('statusSaveFailed'), 'error');
                 } else {
-                    log('Settings saved: ' + JSON.stringify(settings), 'success');
-                    setStatus('Settings saved!', 'success');
+                    userSettings = storedSettings;
+                    log('Settings saved: ' + JSON.stringify(storedSettings), 'success');
+                    setStatus(t('statusSaved'), 'success');
                     setTimeout(() => {
-                        setStatus('Ready', 'success');
+                        setStatus(t('statusReady'), 'success');
                     }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
                 }
                 resolve();
@@ -164,7 +935,7 @@ function saveSettings() {
             clearTimeout(saveTimeout);
             isLoading = false;
             log('Save exception: ' + error.message, 'error');
-            setStatus('Save failed', 'error');
+            setStatus(t('statusSaveFailed'), 'error');
             resolve();
         }
     });
@@ -179,16 +950,16 @@ function loadSettings() {
     
     isLoading = true;
     log('Loading settings...', 'info');
-    setStatus('Loading settings...', 'loading');
+    setStatus(t('statusLoading'), 'loading');
     
     return new Promise((resolve) => {
         if (!hasStorageAPI()) {
             log('Chrome storage not available, using defaults', 'warning');
-            setStatus('Using defaults', 'warning');
+            setStatus(t('statusUsingDefaults'), 'warning');
             isLoading = false;
             updateUI();
             setTimeout(() => {
-                setStatus('Ready', 'success');
+                setStatus(t('statusReady'), 'success');
             }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
             resolve();
             return;
@@ -198,35 +969,45 @@ function loadSettings() {
         loadTimeout = setTimeout(() => {
             isLoading = false;
             log('Load operation timed out, using defaults', 'warning');
-            setStatus('Load timeout - using defaults', 'warning');
+            setStatus(t('statusLoadTimeout'), 'warning');
             updateUI();
             setTimeout(() => {
-                setStatus('Ready', 'success');
+                setStatus(t('statusReady'), 'success');
             }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
             resolve();
         }, POPUP_CONFIG.LOAD_TIMEOUT);
         
         try {
-            chrome.storage.sync.get(POPUP_CONFIG.DEFAULT_SETTINGS, function(result) {
+            chrome.storage.sync.get(SETTINGS_CONFIG.DEFAULT_SETTINGS, function(result) {
                 if (loadTimeout) {
                     clearTimeout(loadTimeout);
                     loadTimeout = null;
                 }
-                isLoading = false;
                 
                 if (chrome.runtime.lastError) {
+                    isLoading = false;
                     log('Load error: ' + chrome.runtime.lastError.message, 'error');
-                    setStatus('Load failed - using defaults', 'warning');
-                } else {
-                    log('Settings loaded: ' + JSON.stringify(result), 'success');
-                    settings = validateSettings(result);
-                    setStatus('Settings loaded!', 'success');
+                    setStatus(t('statusLoadFailed'), 'warning');
+                    updateUI();
+                    resolve();
+                    return;
+                }
+                
+                log('Settings loaded: ' + JSON.stringify(result), 'success');
+                loadManagedPolicy().then(function(policy) {
+                    isLoading = false;
+                    managedPolicy = policy;
+                    useSettings(validateSettings(result));
+                    if (policyLocks.lockedKeys.length > 0 || policyLocks.minProblems > 1) {
+                        log('Administrator policy: ' + JSON.stringify(policy), 'info');
+                    }
+                    setStatus(t('statusLoaded'), 'success');
                     setTimeout(() => {
-                        setStatus('Ready', 'success');
+                        setStatus(t('statusReady'), 'success');
                     }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
-                }
-                updateUI();
-                resolve();
+                    updateUI();
+                    resolve();
+                });
             });
         } catch (error) {
             if (loadTimeout) {
@@ -235,24 +1016,187 @@ function loadSettings() {
             }
             isLoading = false;
             log('Load exception: ' + error.message, 'error');
-            setStatus('Load failed - using defaults', 'warning');
+            setStatus(t('statusLoadFailed'), 'warning');
             updateUI();
             setTimeout(() => {
-                setStatus('Ready', 'success');
+                setStatus(t('statusReady'), 'success');
             }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
             resolve();
         }
     });
 }
 
+/**
+ * Get the labels for every problem count a challenge can ask for
+ * @returns {Object} Labels keyed by count, from 1 to SETTINGS_CONFIG.MAX_PROBLEMS
+ */
+function getProblemCountOptions() {
+    const options = {};
+    for (let count = 1; count <= SETTINGS_CONFIG.MAX_PROBLEMS; count++) {
+        options[count] = tPlural('problemCount', count);
+    }
+    return options;
+}
+
+/**
+ * Fill the number of problems select, so counts above the old maximum
+ * of five (from an import or a policy minimum) still have an option
+ */
+function populateProblemCounts() {
+    fillSelect(document.getElementById('numProblems'), getProblemCountOptions());
+}
+
+/**
+ * Describe a challenge time limit, e.g. "No time limit", "90 seconds" or "2 minutes"
+ * @param {number} seconds - Time limit in seconds, 0 for none
+ * @returns {string} Option label
+ */
+function formatTimeLimit(seconds) {
+    if (seconds === 0) {
+        return t('optionNoTimeLimit');
+    }
+    return seconds % 60 === 0 ? tPlural('durationMinutes', seconds / 60) : tPlural('durationSeconds', seconds);
+}
+
+/**
+ * Fill the time limit select with the usual limits plus the current one,
+ * which a policy or an import may set to any number of seconds
+ * @param {number} current - Time limit in effect
+ */
+function populateTimeLimits(current) {
+    const options = {};
+    POPUP_CONFIG.TIME_LIMIT_OPTIONS.concat(current).forEach(function(seconds) {
+        options[seconds] = formatTimeLimit(seconds);
+    });
+    fillSelect(document.getElementById('timeLimit'), options);
+}
+
+/**
+ * Fill the time zone suggestions list, where the browser can enumerate zones
+ */
+function populateTimeZones() {
+    if (typeof Intl.supportedValuesOf !== 'function') {
+        return;
+    }
+    
+    const list = document.getElementById('timeZones');
+    Intl.supportedValuesOf('timeZone').forEach(function(timeZone) {
+        const option = document.createElement('option');
+        option.value = timeZone;
+        list.appendChild(option);
+    });
+}
+
+/**
+ * Download the current settings as a versioned JSON file
+ */
+function exportSettings() {
+    const blob = new Blob([serializeSettings(settings)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = POPUP_CONFIG.EXPORT_FILENAME;
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    log('Settings exported', 'success');
+}
+
+/**
+ * Describe a setting value for the import preview
+ * @param {string} key - Setting key
+ * @param {*} value - Setting value
+ * @returns {string} Short human-readable value
+ */
+function describeSettingValue(key, value) {
+    if (typeof value === 'boolean') {
+        return t(value ? 'toggleOn' : 'toggleOff');
+    }
+    if (key === 'rules') {
+        return tPlural('ruleCount', value.length);
+    }
+    return String(value);
+}
+
+/**
+ * Show the changes an import would make and wait for confirmation
+ * @param {Array<{key: string, from: *, to: *}>} changes - Changed settings
+ * @param {number} version - Version of the imported file
+ * @param {Array<string>} dropped - Fields of the file that will be ignored
+ */
+function showImportPreview(changes, version, dropped) {
+    const list = document.getElementById('importChanges');
+    list.textContent = '';
+    
+    changes.forEach(function(change) {
+        const item = document.createElement('li');
+        const label = document.createElement('strong');
+        label.textContent = POPUP_CONFIG.SETTING_LABELS[change.key] ? t(POPUP_CONFIG.SETTING_LABELS[change.key]) : change.key;
+        item.appendChild(label);
+        item.appendChild(document.createTextNode(
+            typeof change.to === 'object' && change.key !== 'rules'
+                ? `: ${t('importChanged')}`
+                : `: ${describeSettingValue(change.key, change.from)} → ${describeSettingValue(change.key, change.to)}`
+        ));
+        list.appendChild(item);
+    });
+    
+    const summary = tPlural('importSummary', changes.length);
+    document.getElementById('importSummary').textContent = version < SETTINGS_CONFIG.VERSION
+        ? `${summary} ${t('importUpgraded')}`
+        : summary;
+    
+    const warning = document.getElementById('importDropped');
+    warning.hidden = dropped.length === 0;
+    warning.textContent = dropped.length > 0 ? t('importDropped', dropped.join(', ')) : '';
+    document.getElementById('importPreview').style.display = 'block';
+}
+
+/**
+ * Hide the import preview and forget the pending import
+ */
+function hideImportPreview() {
+    pendingImport = null;
+    document.getElementById('importPreview').style.display = 'none';
+}
+
+/**
+ * Read a settings file chosen by the user and preview the changes
+ * @param {File} file - Selected file
+ */
+function importSettingsFile(file) {
+    log('Reading ' + file.name, 'info');
+    
+    file.text().then(function(text) {
+        const imported = parseSettingsFile(text);
+        const changes = diffSettings(settings, applyPolicy(imported.settings, managedPolicy).settings);
+        
+        log(`Import file format ${imported.version}, ${changes.length} change(s), ${imported.dropped.length} ignored field(s)`, 'info');
+        
+        if (changes.length === 0) {
+            hideImportPreview();
+            setStatus(t('importNoChanges'), 'success');
+            return;
+        }
+        
+        pendingImport = imported.settings;
+        showImportPreview(changes, imported.version, imported.dropped);
+    }).catch(function(error) {
+        log('Import failed: ' + error.message, 'error');
+        setStatus(t('importFailed', error.message), 'error');
+        hideImportPreview();
+    });
+}
+
 /**
  * Reset settings to defaults
  */
 function resetSettings() {
-    if (!confirm('Reset all settings to defaults?')) return;
+    if (!confirm(t('confirmReset'))) return;
     
     log('Resetting to defaults...', 'info');
-    settings = { ...POPUP_CONFIG.DEFAULT_SETTINGS };
+    useSettings(validateSettings(SETTINGS_CONFIG.DEFAULT_SETTINGS));
     updateUI();
     saveSettings();
 }
@@ -272,7 +1216,7 @@ function setupEvents() {
     log('Setting up event listeners...', 'info');
     
     document.getElementById('enabled').onclick = function() {
-        if (isLoading) return;
+        if (isLoading || isLocked('enabled')) return;
         log('Enabled toggle clicked', 'info');
         settings.enabled = !settings.enabled;
         updateUI();
@@ -280,13 +1224,104 @@ function setupEvents() {
     };
     
     document.getElementById('nightMode').onclick = function() {
-        if (isLoading) return;
+        if (isLoading || isLocked('nightMode')) return;
         log('Night mode toggle clicked', 'info');
         settings.nightMode = !settings.nightMode;
         updateUI();
         saveSettings();
     };
     
+    document.getElementById('contentTriggersEnabled').onclick = function() {
+        if (isLoading || isLocked('contentTriggers')) return;
+        log('Content triggers toggle clicked', 'info');
+        settings.contentTriggers.enabled = !settings.contentTriggers.enabled;
+        updateUI();
+        saveSettings();
+    };
+    
+    ['triggerKeywords', 'triggerCaps', 'triggerExclamations', 'triggerAttachment'].forEach(function(id) {
+        document.getElementById(id).onchange = function() {
+            if (isLoading) return;
+            log('Content trigger option changed: ' + id, 'info');
+            settings.contentTriggers = validateContentTriggers({
+                enabled: settings.contentTriggers.enabled,
+                keywords: document.getElementById('triggerKeywords').value,
+                capsRatio: document.getElementById('triggerCaps').value,
+                exclamationCount: document.getElementById('triggerExclamations').value,
+                missingAttachment: document.getElementById('triggerAttachment').checked
+            });
+            saveSettings();
+        };
+    });
+    
+    document.getElementById('coolingOffEnabled').onclick = function() {
+        if (isLoading || isLocked('coolingOff')) return;
+        log('Cooling-off toggle clicked', 'info');
+        settings.coolingOff.enabled = !settings.coolingOff.enabled;
+        updateUI();
+        saveSettings();
+    };
+    
+    document.getElementById('coolingOffWait').onchange = function() {
+        if (isLoading) return;
+        log('Cooling-off wait changed to ' + this.value, 'info');
+        settings.coolingOff = validateCoolingOff({ enabled: settings.coolingOff.enabled, waitSeconds: this.value });
+        saveSettings();
+    };
+    
+    document.getElementById('adaptiveEnabled').onclick = function() {
+        if (isLoading || isLocked('adaptive')) return;
+        log('Adaptive mode toggle clicked', 'info');
+        settings.adaptive.enabled = !settings.adaptive.enabled;
+        updateUI();
+        saveSettings();
+    };
+    
+    document.querySelectorAll('#adaptiveOptions input').forEach(function(input) {
+        input.onchange = function() {
+            if (isLoading) return;
+            log('Adaptive mode option changed: ' + input.id, 'info');
+            const rawAdaptive = { enabled: settings.adaptive.enabled };
+            Object.entries(POPUP_CONFIG.ADAPTIVE_FIELDS).forEach(function([field, id]) {
+                rawAdaptive[field] = document.getElementById(id).value;
+            });
+            settings.adaptive = validateAdaptive(rawAdaptive);
+            updateUI();
+            saveSettings();
+        };
+    });
+    
+    document.querySelectorAll('#pauseOptions button').forEach(function(button) {
+        button.onclick = function() {
+            if (isLoading || !canPause(policyLocks.lockedKeys)) return;
+            log('Pausing challenges: ' + button.dataset.pause, 'info');
+            pausedUntil = startPause(button.dataset.pause, 'popup', settings.historyRetentionDays);
+            updateActiveNow();
+        };
+    });
+    
+    document.getElementById('resumeBtn').onclick = function() {
+        if (isLoading) return;
+        log('Resuming challenges', 'info');
+        endPause(settings.historyRetentionDays);
+        pausedUntil = 0;
+        updateActiveNow();
+    };
+    
+    document.getElementById('timeZone').onchange = function() {
+        if (isLoading) return;
+        const timeZone = this.value.trim();
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            log('Unknown time zone: ' + timeZone, 'warning');
+            this.value = settings.schedule.timeZone;
+            return;
+        }
+        log('Time zone changed to ' + (timeZone || 'browser default'), 'info');
+        settings.schedule.timeZone = timeZone;
+        updateActiveNow();
+        saveSettings();
+    };
+    
     document.getElementById('numProblems').onchange = function() {
         if (isLoading) return;
         log('Problems count changed to ' + this.value, 'info');
@@ -298,11 +1333,102 @@ function setupEvents() {
         if (isLoading) return;
         log('Time limit changed to ' + this.value, 'info');
         settings.timeLimit = parseInt(this.value);
+        updateUI();
+        saveSettings();
+    };
+    
+    document.querySelectorAll('#timerOptions select, #timerOptions input').forEach(function(control) {
+        control.onchange = function() {
+            if (isLoading || isLocked('timer')) return;
+            log('Timer option changed: ' + control.id, 'info');
+            settings.timer = validateTimer({
+                graceSeconds: document.getElementById('timerGrace').value,
+                regenerate: document.getElementById('timerRegenerate').value,
+                pauseWhenHidden: document.getElementById('timerPauseHidden').checked
+            });
+            saveSettings();
+        };
+    });
+    
+    document.getElementById('holdSeconds').onchange = function() {
+        if (isLoading) return;
+        log('Hold time changed to ' + this.value, 'info');
+        settings.holdSeconds = parseInt(this.value);
+        saveSettings();
+    };
+    
+    document.getElementById('difficulty').onchange = function() {
+        if (isLoading) return;
+        log('Difficulty changed to ' + this.value, 'info');
+        settings.difficulty = this.value;
+        updateUI();
+        saveSettings();
+    };
+    
+    document.querySelectorAll('#customDifficulty input').forEach(function(input) {
+        input.onchange = function() {
+            if (isLoading) return;
+            log('Custom difficulty changed', 'info');
+            settings.customDifficulty = validateSettings({
+                customDifficulty: {
+                    minOperand: document.getElementById('minOperand').value,
+                    maxOperand: document.getElementById('maxOperand').value,
+                    operators: Array.from(document.querySelectorAll('#customOperators input:checked')).map(el => el.value),
+                    allowNegative: document.getElementById('allowNegative').checked,
+                    multiStep: document.getElementById('multiStep').checked
+                }
+            }).customDifficulty;
+            updateUI();
+            saveSettings();
+        };
+    });
+    
+    document.getElementById('challengeType').onchange = function() {
+        if (isLoading) return;
+        log('Challenge type changed to ' + this.value, 'info');
+        settings.challengeType = this.value;
+        updateUI();
+        saveSettings();
+    };
+    
+    document.getElementById('theme').onchange = function() {
+        if (isLoading) return;
+        log('Theme changed to ' + this.value, 'info');
+        settings.theme = this.value;
+        saveSettings();
+    };
+    
+    document.querySelectorAll('#challengeWeights input').forEach(function(input) {
+        input.onchange = function() {
+            if (isLoading) return;
+            log(`Weight for ${this.dataset.type} changed to ${this.value}`, 'info');
+            settings.challengeWeights[this.dataset.type] = Math.min(Math.max(parseInt(this.value) || 0, 0), 10);
+            saveSettings();
+        };
+    });
+    
+    document.getElementById('addRuleBtn').onclick = function() {
+        if (isLoading) return;
+        log('Rule added', 'info');
+        settings.rules.push({
+            condition: 'externalDomain',
+            value: '',
+            action: 'challenge',
+            numProblems: settings.numProblems
+        });
+        renderRules();
+        saveSettings();
+    };
+    
+    document.getElementById('ruleFallback').onchange = function() {
+        if (isLoading) return;
+        log('Rule fallback changed to ' + this.value, 'info');
+        settings.ruleFallback = this.value;
         saveSettings();
     };
     
     document.getElementById('testBtn').onclick = function() {
-        log('Test button clicked - reloading...', 'info');
+        log('Test button clicked - reloading and running diagnostics...', 'info');
         // Clear any existing timeout first
         if (loadTimeout) {
             clearTimeout(loadTimeout);
@@ -310,10 +1436,73 @@ function setupEvents() {
         }
         isLoading = false;
         loadSettings();
+        showView('diagnosticsView');
     };
     
+    document.getElementById('practiceBtn').onclick = startPractice;
+    
+    document.getElementById('runDiagnosticsBtn').onclick = renderDiagnostics;
+    
     document.getElementById('resetBtn').onclick = resetSettings;
     
+    document.getElementById('exportBtn').onclick = exportSettings;
+    
+    document.getElementById('importBtn').onclick = function() {
+        document.getElementById('importFile').click();
+    };
+    
+    document.getElementById('importFile').onchange = function() {
+        if (this.files.length > 0) {
+            importSettingsFile(this.files[0]);
+        }
+        this.value = '';
+    };
+    
+    document.getElementById('applyImportBtn').onclick = function() {
+        if (isLoading || !pendingImport) return;
+        log('Applying imported settings', 'info');
+        useSettings(pendingImport);
+        hideImportPreview();
+        updateUI();
+        saveSettings();
+    };
+    
+    document.getElementById('cancelImportBtn').onclick = function() {
+        log('Import cancelled', 'info');
+        hideImportPreview();
+    };
+    
+    document.querySelectorAll('.view-tab').forEach(function(tab) {
+        tab.onclick = function() {
+            log('Switching to ' + this.dataset.view, 'info');
+            showView(this.dataset.view);
+        };
+    });
+    
+    document.querySelectorAll('.period').forEach(function(button) {
+        button.onclick = function() {
+            statsDays = parseInt(this.dataset.days);
+            renderStats();
+        };
+    });
+    
+    document.getElementById('historyRetentionDays').onchange = function() {
+        if (isLoading) return;
+        log('History retention changed to ' + this.value + ' days', 'info');
+        settings.historyRetentionDays = parseInt(this.value);
+        pruneStoredHistory(settings.historyRetentionDays).then(renderStats);
+        saveSettings();
+    };
+    
+    document.getElementById('clearHistoryBtn').onclick = function() {
+        if (!confirm(t('confirmClearHistory'))) return;
+        log('Clearing history...', 'info');
+        clearHistory().then(function() {
+            log('History cleared', 'success');
+            renderStats();
+        });
+    };
+    
     log('Event listeners set up', 'success');
 }
 
@@ -332,26 +1521,47 @@ function init() {
         }
     }
     
+    populateProblemCounts();
     setupEvents();
     loadSettings();
+    loadPause().then(function(value) {
+        pausedUntil = value;
+        updateActiveNow();
+    });
+    populateTimeZones();
+    
+    // Follow pauses started from a challenge or ended by the service worker
+    if (hasStorageAPI() && chrome.storage.onChanged) {
+        chrome.storage.onChanged.addListener(function(changes, namespace) {
+            if (namespace === 'local' && changes[PAUSE_CONFIG.STORAGE_KEY]) {
+                pausedUntil = Number(changes[PAUSE_CONFIG.STORAGE_KEY].newValue) || 0;
+                updateActiveNow();
+            }
+        });
+    }
+    setInterval(updateActiveNow, POPUP_CONFIG.ACTIVE_NOW_REFRESH);
     
     log('Initialization complete', 'success');
 }
 
+// Translate the static page before anything else is shown
+localizePage();
+document.documentElement.lang = getLocale();
+document.documentElement.dir = getTextDirection();
+
 // Initialize popup with error handling
-document.getElementById('status').innerHTML = '<div class="status-icon"></div><span>Script loaded!</span>';
-document.getElementById('status').className = 'status success';
+setStatus(t('statusScriptLoaded'), 'success');
 
 setTimeout(() => {
     try {
         init();
     } catch (error) {
         log('Initialization error: ' + error.message, 'error');
-        setStatus('Init failed - using defaults', 'warning');
+        setStatus(t('statusInitFailed'), 'warning');
         isLoading = false;
         updateUI();
         setTimeout(() => {
-            setStatus('Ready', 'success');
+            setStatus(t('statusReady'), 'success');
         }, POPUP_CONFIG.STATUS_DISPLAY_TIME);
     }
 }, 100);
@@ -360,12 +1570,12 @@ setTimeout(() => {
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', function() {
         log('DOM ready fallback triggered', 'info');
-        if (document.getElementById('status').textContent.includes('Initializing')) {
+        if (document.getElementById('status').textContent.includes(t('statusInitializing'))) {
             try {
                 init();
             } catch (error) {
                 log('DOM init error: ' + error.message, 'error');
-                setStatus('Ready', 'success');
+                setStatus(t('statusReady'), 'success');
                 updateUI();
             }
         }
@@ -375,7 +1585,7 @@ if (document.readyState === 'loading') {
 // Global error handling
 window.addEventListener('error', function(e) {
     log('ERROR: ' + e.message, 'error');
-    setStatus('JavaScript error', 'error');
+    setStatus(t('statusJsError'), 'error');
 });
 
 log('Popup script loaded', 'success');
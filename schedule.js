@@ -0,0 +1,124 @@
+// Weekly schedule evaluation shared by the content script and popup
+
+const SCHEDULE_CONFIG = {
+    DAYS: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    MAX_WINDOWS_PER_DAY: 6,
+    TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+    DEFAULT_WINDOW: { start: '22:00', end: '08:00' }
+};
+
+/**
+ * Build the default schedule: 22:00–08:00 every night, in the browser's time zone
+ * @returns {{timeZone: string, windows: Array<Array<{start: string, end: string}>>}} Schedule
+ */
+function createDefaultSchedule() {
+    return {
+        timeZone: '',
+        windows: SCHEDULE_CONFIG.DAYS.map(() => [{ ...SCHEDULE_CONFIG.DEFAULT_WINDOW }])
+    };
+}
+
+/**
+ * Check whether a string is an IANA time zone this browser understands
+ * @param {string} timeZone - Time zone name, e.g. "Europe/Berlin"
+ * @returns {boolean} Whether the time zone is valid
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates and sanitizes a schedule object
+ * @param {Object} rawSchedule - Raw schedule from storage
+ * @returns {Object} Validated schedule
+ */
+function validateSchedule(rawSchedule) {
+    if (!rawSchedule || !Array.isArray(rawSchedule.windows)) {
+        return createDefaultSchedule();
+    }
+    
+    const timeZone = typeof rawSchedule.timeZone === 'string' ? rawSchedule.timeZone.trim() : '';
+    
+    return {
+        timeZone: timeZone && isValidTimeZone(timeZone) ? timeZone : '',
+        windows: SCHEDULE_CONFIG.DAYS.map(function(day, index) {
+            const dayWindows = Array.isArray(rawSchedule.windows[index]) ? rawSchedule.windows[index] : [];
+            return dayWindows
+                .filter(timeWindow => timeWindow &&
+                    SCHEDULE_CONFIG.TIME_PATTERN.test(timeWindow.start) &&
+                    SCHEDULE_CONFIG.TIME_PATTERN.test(timeWindow.end))
+                .slice(0, SCHEDULE_CONFIG.MAX_WINDOWS_PER_DAY)
+                .map(timeWindow => ({ start: timeWindow.start, end: timeWindow.end }));
+        })
+    };
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes after midnight
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Get the weekday and minutes after midnight of a date in a time zone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA time zone, or '' for the browser's own
+ * @returns {{day: number, minutes: number}} Weekday (0 = Sunday) and minutes after midnight
+ */
+function getZonedTime(date, timeZone) {
+    if (!timeZone || !isValidTimeZone(timeZone)) {
+        return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+    
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).forEach(function(part) {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        day: SCHEDULE_CONFIG.DAYS.indexOf(parts.weekday),
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+/**
+ * Check whether a point in time falls inside the schedule
+ * A window whose end is not after its start crosses midnight into the next
+ * day; a window with equal start and end covers 24 hours.
+ * @param {Object} schedule - Validated schedule
+ * @param {Date} [date] - Point in time, defaults to now
+ * @returns {boolean} Whether the schedule is active
+ */
+function isWithinSchedule(schedule, date = new Date()) {
+    const { day, minutes } = getZonedTime(date, schedule.timeZone);
+    const previousDay = (day + 6) % 7;
+    
+    const activeToday = schedule.windows[day].some(function(timeWindow) {
+        const start = timeToMinutes(timeWindow.start);
+        const end = timeToMinutes(timeWindow.end);
+        return end > start ? minutes >= start && minutes < end : minutes >= start;
+    });
+    
+    const carriedOver = schedule.windows[previousDay].some(function(timeWindow) {
+        const start = timeToMinutes(timeWindow.start);
+        const end = timeToMinutes(timeWindow.end);
+        return end <= start && minutes < end;
+    });
+    
+    return activeToday || carriedOver;
+}
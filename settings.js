@@ -0,0 +1,405 @@
+// Settings schema, validation and file format shared by the content script and popup
+// Error messages are looked up with t() from i18n.js, which must load first.
+
+const SETTINGS_CONFIG = {
+    VERSION: 2,
+    FILE_FORMAT: 'mail-goggles-settings',
+    DEFAULT_SETTINGS: {
+        enabled: true,
+        nightMode: false,
+        schedule: createDefaultSchedule(),
+        numProblems: 3,
+        timeLimit: 60,
+        timer: {
+            graceSeconds: 0,
+            pauseWhenHidden: false,
+            regenerate: 'all'
+        },
+        holdSeconds: 0,
+        coolingOff: {
+            enabled: false,
+            waitSeconds: 5
+        },
+        historyRetentionDays: 30,
+        difficulty: 'medium',
+        customDifficulty: {
+            minOperand: 5,
+            maxOperand: 29,
+            operators: ['+', '-', '*'],
+            allowNegative: false,
+            multiStep: false
+        },
+        challengeType: 'arithmetic',
+        challengeWeights: {
+            arithmetic: 3,
+            phrase: 1,
+            recipient: 1,
+            memory: 1,
+            unscramble: 1
+        },
+        rules: [],
+        ruleFallback: 'challenge',
+        contentTriggers: {
+            enabled: false,
+            keywords: '',
+            capsRatio: 60,
+            exclamationCount: 3,
+            missingAttachment: true
+        },
+        adaptive: {
+            enabled: false,
+            wrongAttempts: 2,
+            burstSends: 5,
+            burstMinutes: 10,
+            burstExtraProblems: 2,
+            lockoutFailures: 6,
+            lockoutMinutes: 5
+        },
+        theme: 'auto'
+    },
+    CHALLENGE_TYPES: ['arithmetic', 'phrase', 'recipient', 'memory', 'unscramble', 'mix'],
+    DIFFICULTY_LEVELS: ['easy', 'medium', 'hard', 'custom'],
+    OPERATORS: ['+', '-', '*', '/'],
+    RULE_CONDITIONS: ['externalDomain', 'watchList', 'recipientCount'],
+    RULE_ACTIONS: ['challenge', 'skip'],
+    THEMES: ['auto', 'light', 'dark', 'high-contrast'],
+    MAX_RULES: 20,
+    HISTORY_RETENTION_OPTIONS: [7, 30, 90, 365],
+    COOLING_OFF_WAIT_OPTIONS: [3, 5, 10, 15, 30],
+    TIMER_GRACE_OPTIONS: [0, 10, 15, 30],
+    TIMER_REGENERATE_MODES: ['all', 'unsolved'],
+    MAX_PROBLEMS: 10
+};
+
+/**
+ * Migrations that bring settings from one file version to the next, keyed by
+ * the version they upgrade from.
+ * Version 1 is the original four-key format (enabled, nightMode, numProblems,
+ * timeLimit), where night mode meant a fixed 22:00–08:00 window.
+ */
+const SETTINGS_MIGRATIONS = {
+    1: function(rawSettings) {
+        return { ...rawSettings, schedule: createDefaultSchedule() };
+    }
+};
+
+/**
+ * Validates and sanitizes settings object
+ * @param {Object} rawSettings - Raw settings from storage
+ * @returns {Object} Validated settings
+ */
+function validateSettings(rawSettings) {
+    const rawWeights = rawSettings.challengeWeights || {};
+    const challengeWeights = {};
+    Object.keys(SETTINGS_CONFIG.DEFAULT_SETTINGS.challengeWeights).forEach(function(type) {
+        challengeWeights[type] = Math.min(Math.max(parseInt(rawWeights[type]) || 0, 0), 10);
+    });
+    
+    const rawCustom = rawSettings.customDifficulty || {};
+    const minOperand = Math.min(Math.max(parseInt(rawCustom.minOperand) || 0, 0), 999);
+    const operators = Array.isArray(rawCustom.operators)
+        ? SETTINGS_CONFIG.OPERATORS.filter(operator => rawCustom.operators.includes(operator))
+        : [];
+    
+    return {
+        enabled: Boolean(rawSettings.enabled),
+        nightMode: Boolean(rawSettings.nightMode),
+        schedule: validateSchedule(rawSettings.schedule),
+        numProblems: Math.min(Math.max(parseInt(rawSettings.numProblems) || 3, 1), SETTINGS_CONFIG.MAX_PROBLEMS),
+        timeLimit: Number.isNaN(parseInt(rawSettings.timeLimit))
+            ? 60
+            : Math.min(Math.max(parseInt(rawSettings.timeLimit), 0), 3600),
+        timer: validateTimer(rawSettings.timer),
+        holdSeconds: Math.min(Math.max(parseInt(rawSettings.holdSeconds) || 0, 0), 120),
+        coolingOff: validateCoolingOff(rawSettings.coolingOff),
+        historyRetentionDays: SETTINGS_CONFIG.HISTORY_RETENTION_OPTIONS.includes(parseInt(rawSettings.historyRetentionDays))
+            ? parseInt(rawSettings.historyRetentionDays)
+            : 30,
+        difficulty: SETTINGS_CONFIG.DIFFICULTY_LEVELS.includes(rawSettings.difficulty)
+            ? rawSettings.difficulty
+            : 'medium',
+        customDifficulty: {
+            minOperand,
+            maxOperand: Math.min(Math.max(parseInt(rawCustom.maxOperand) || minOperand, minOperand), 999),
+            operators: operators.length > 0 ? operators : ['+', '-', '*'],
+            allowNegative: Boolean(rawCustom.allowNegative),
+            multiStep: Boolean(rawCustom.multiStep)
+        },
+        challengeType: SETTINGS_CONFIG.CHALLENGE_TYPES.includes(rawSettings.challengeType)
+            ? rawSettings.challengeType
+            : 'arithmetic',
+        challengeWeights,
+        rules: validateRules(rawSettings.rules),
+        ruleFallback: SETTINGS_CONFIG.RULE_ACTIONS.includes(rawSettings.ruleFallback)
+            ? rawSettings.ruleFallback
+            : 'challenge',
+        contentTriggers: validateContentTriggers(rawSettings.contentTriggers),
+        adaptive: validateAdaptive(rawSettings.adaptive),
+        theme: SETTINGS_CONFIG.THEMES.includes(rawSettings.theme)
+            ? rawSettings.theme
+            : 'auto'
+    };
+}
+
+/**
+ * Validates and sanitizes challenge timer settings
+ * @param {Object} rawTimer - Raw timer settings from storage
+ * @returns {Object} Validated timer settings
+ */
+function validateTimer(rawTimer) {
+    const timer = rawTimer || {};
+    const graceSeconds = parseInt(timer.graceSeconds);
+    
+    return {
+        graceSeconds: SETTINGS_CONFIG.TIMER_GRACE_OPTIONS.includes(graceSeconds) ? graceSeconds : 0,
+        pauseWhenHidden: Boolean(timer.pauseWhenHidden),
+        regenerate: SETTINGS_CONFIG.TIMER_REGENERATE_MODES.includes(timer.regenerate) ? timer.regenerate : 'all'
+    };
+}
+
+/**
+ * Validates and sanitizes cooling-off settings
+ * @param {Object} rawCoolingOff - Raw cooling-off settings from storage
+ * @returns {Object} Validated cooling-off settings
+ */
+function validateCoolingOff(rawCoolingOff) {
+    const coolingOff = rawCoolingOff || {};
+    const waitSeconds = parseInt(coolingOff.waitSeconds);
+    
+    return {
+        enabled: Boolean(coolingOff.enabled),
+        waitSeconds: SETTINGS_CONFIG.COOLING_OFF_WAIT_OPTIONS.includes(waitSeconds) ? waitSeconds : 5
+    };
+}
+
+/**
+ * Validates and sanitizes content trigger settings
+ * @param {Object} rawTriggers - Raw content trigger settings from storage
+ * @returns {Object} Validated content trigger settings
+ */
+function validateContentTriggers(rawTriggers) {
+    const triggers = rawTriggers || {};
+    
+    return {
+        enabled: Boolean(triggers.enabled),
+        keywords: String(triggers.keywords || '').slice(0, 1000),
+        capsRatio: Math.min(Math.max(parseInt(triggers.capsRatio) || 0, 0), 100),
+        exclamationCount: Math.min(Math.max(parseInt(triggers.exclamationCount) || 0, 0), 50),
+        missingAttachment: Boolean(triggers.missingAttachment)
+    };
+}
+
+/**
+ * Validates and sanitizes adaptive mode settings
+ * A threshold of 0 turns that part of adaptive mode off.
+ * @param {Object} rawAdaptive - Raw adaptive mode settings from storage
+ * @returns {Object} Validated adaptive mode settings
+ */
+function validateAdaptive(rawAdaptive) {
+    const adaptive = rawAdaptive || {};
+    const clamp = (value, min, max) => Math.min(Math.max(parseInt(value) || 0, min), max);
+    
+    return {
+        enabled: Boolean(adaptive.enabled),
+        wrongAttempts: clamp(adaptive.wrongAttempts, 0, 10),
+        burstSends: clamp(adaptive.burstSends, 0, 50),
+        burstMinutes: clamp(adaptive.burstMinutes, 1, 120),
+        burstExtraProblems: clamp(adaptive.burstExtraProblems, 0, SETTINGS_CONFIG.MAX_PROBLEMS),
+        lockoutFailures: clamp(adaptive.lockoutFailures, 0, 20),
+        lockoutMinutes: clamp(adaptive.lockoutMinutes, 1, 60)
+    };
+}
+
+/**
+ * Validates and sanitizes recipient rules
+ * @param {Array} rawRules - Raw rules from storage
+ * @returns {Array<Object>} Validated rules
+ */
+function validateRules(rawRules) {
+    if (!Array.isArray(rawRules)) {
+        return [];
+    }
+    
+    return rawRules
+        .filter(rule => rule && SETTINGS_CONFIG.RULE_CONDITIONS.includes(rule.condition))
+        .slice(0, SETTINGS_CONFIG.MAX_RULES)
+        .map(rule => ({
+            condition: rule.condition,
+            value: rule.condition === 'recipientCount'
+                ? Math.min(Math.max(parseInt(rule.value) || 0, 0), 100)
+                : String(rule.value || '').slice(0, 500),
+            action: SETTINGS_CONFIG.RULE_ACTIONS.includes(rule.action) ? rule.action : 'challenge',
+            numProblems: Math.min(Math.max(parseInt(rule.numProblems) || 3, 1), SETTINGS_CONFIG.MAX_PROBLEMS)
+        }));
+}
+
+/**
+ * Wrap settings in the versioned export format
+ * @param {Object} currentSettings - Validated settings
+ * @returns {string} JSON file contents
+ */
+function serializeSettings(currentSettings) {
+    return JSON.stringify({
+        format: SETTINGS_CONFIG.FILE_FORMAT,
+        version: SETTINGS_CONFIG.VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: currentSettings
+    }, null, 2);
+}
+
+/**
+ * Check whether a value is a plain object rather than an array or primitive
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fill in the defaults for whatever a settings file leaves out, field by
+ * field inside sections such as `adaptive`, so a partial section keeps the
+ * rest of its defaults instead of failing validation as zeros
+ * @param {Object} rawSettings - Migrated settings from a file
+ * @returns {{settings: Object, dropped: Array<string>}} Settings with defaults filled in, and the fields that will be ignored
+ */
+function mergeSettingsDefaults(rawSettings) {
+    const defaults = SETTINGS_CONFIG.DEFAULT_SETTINGS;
+    const merged = {};
+    const dropped = Object.keys(rawSettings).filter(key => !(key in defaults));
+    
+    Object.keys(defaults).forEach(function(key) {
+        const value = rawSettings[key];
+        
+        if (!(key in rawSettings)) {
+            merged[key] = defaults[key];
+        } else if (!isPlainObject(defaults[key])) {
+            merged[key] = value;
+        } else if (isPlainObject(value)) {
+            Object.keys(value)
+                .filter(field => !(field in defaults[key]))
+                .forEach(field => dropped.push(`${key}.${field}`));
+            merged[key] = { ...defaults[key], ...value };
+        } else {
+            dropped.push(key);
+            merged[key] = defaults[key];
+        }
+    });
+    
+    return { settings: merged, dropped };
+}
+
+/**
+ * Parse, migrate and validate an exported settings file
+ * A bare settings object without the wrapper is read as version 1.
+ * @param {string} text - File contents
+ * @returns {{settings: Object, version: number, dropped: Array<string>}} Validated settings, the file's original version and the fields that were ignored
+ * @throws {Error} When the file is not a usable settings file
+ */
+function parseSettingsFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(t('importErrorJson'));
+    }
+    
+    if (!isPlainObject(data)) {
+        throw new Error(t('importErrorNoSettings'));
+    }
+    
+    const wrapped = 'format' in data;
+    if (wrapped && data.format !== SETTINGS_CONFIG.FILE_FORMAT) {
+        throw new Error(t('importErrorFormat'));
+    }
+    
+    const version = wrapped ? parseInt(data.version) : 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(t('importErrorVersion'));
+    }
+    if (version > SETTINGS_CONFIG.VERSION) {
+        throw new Error(t('importErrorNewer', version));
+    }
+    
+    let rawSettings = wrapped ? data.settings : data;
+    if (!isPlainObject(rawSettings)) {
+        throw new Error(t('importErrorNoSettings'));
+    }
+    
+    for (let from = version; from < SETTINGS_CONFIG.VERSION; from++) {
+        rawSettings = SETTINGS_MIGRATIONS[from](rawSettings);
+    }
+    
+    const merged = mergeSettingsDefaults(rawSettings);
+    return {
+        settings: validateSettings(merged.settings),
+        version,
+        dropped: merged.dropped
+    };
+}
+
+/**
+ * List the top-level settings that differ between two settings objects
+ * @param {Object} currentSettings - Settings in use
+ * @param {Object} incomingSettings - Settings about to replace them
+ * @returns {Array<{key: string, from: *, to: *}>} Changed settings
+ */
+function diffSettings(currentSettings, incomingSettings) {
+    return Object.keys(SETTINGS_CONFIG.DEFAULT_SETTINGS)
+        .filter(key => JSON.stringify(currentSettings[key]) !== JSON.stringify(incomingSettings[key]))
+        .map(key => ({ key, from: currentSettings[key], to: incomingSettings[key] }));
+}
+
+/**
+ * Read the administrator policy from managed storage
+ * Resolves to an empty policy when the browser has none or managed storage
+ * is unavailable, so callers never have to special-case unmanaged installs.
+ * @returns {Promise<Object>} Raw policy values
+ */
+function loadManagedPolicy() {
+    return new Promise((resolve) => {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.managed) {
+            resolve({});
+            return;
+        }
+        
+        try {
+            chrome.storage.managed.get(null, function(result) {
+                if (chrome.runtime.lastError) {
+                    console.error('Error loading managed policy:', chrome.runtime.lastError.message);
+                    resolve({});
+                } else {
+                    resolve(result || {});
+                }
+            });
+        } catch (error) {
+            console.error('Managed policy load failed:', error);
+            resolve({});
+        }
+    });
+}
+
+/**
+ * Merge administrator policy over user settings
+ * Any setting present in the policy replaces the user's value and is
+ * reported as locked. `minProblems` is a floor rather than a lock: users may
+ * still ask for more problems, including in recipient rules, but never fewer.
+ * @param {Object} userSettings - Validated user settings
+ * @param {Object} policy - Raw policy from managed storage
+ * @returns {{settings: Object, lockedKeys: Array<string>, minProblems: number}} Effective settings and what the policy controls
+ */
+function applyPolicy(userSettings, policy) {
+    const lockedKeys = Object.keys(SETTINGS_CONFIG.DEFAULT_SETTINGS).filter(key => key in policy);
+    const merged = { ...userSettings };
+    lockedKeys.forEach(function(key) {
+        merged[key] = policy[key];
+    });
+    
+    const effective = validateSettings(merged);
+    const minProblems = Math.min(Math.max(parseInt(policy.minProblems) || 1, 1), SETTINGS_CONFIG.MAX_PROBLEMS);
+    
+    effective.numProblems = Math.max(effective.numProblems, minProblems);
+    effective.rules = effective.rules.map(rule => ({ ...rule, numProblems: Math.max(rule.numProblems, minProblems) }));
+    
+    return { settings: effective, lockedKeys, minProblems };
+}
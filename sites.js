@@ -0,0 +1,529 @@
+// Site adapters: how each supported webmail client lays out compose windows
+// The content script asks the adapter for the current page instead of using
+// site-specific selectors itself.
+
+const SITES_CONFIG = {
+    EMAIL_PATTERN: /[^\s<>()"',;:]+@[^\s<>()"',;:]+\.[a-z]{2,}/i,
+    ADDRESS_ATTRIBUTES: ['email', 'data-email', 'data-hovercard-id', 'title', 'aria-label', 'href'],
+    REPLAY_SHORTCUT: {
+        key: 'Enter',
+        code: 'Enter',
+        keyCode: 13,
+        which: 13,
+        ctrlKey: true
+    },
+    // "Send" in the languages webmail clients are commonly used in
+    SEND_WORDS: [
+        'send', 'senden', 'envoyer', 'enviar', 'invia', 'verzenden', 'versturen', 'skicka',
+        'sende', 'lähetä', 'wyślij', 'odeslat', 'küldés', 'trimite', 'gönder', 'kirim',
+        'gửi', 'отправить', 'надіслати', 'שליחה', 'שלח', 'إرسال', '送信', '发送', '傳送', '보내기'
+    ],
+    EXCLUDED_WORDS: ['feedback', 'option', 'schedule', 'undo'],
+    // Labels of the other controls that commit a message, by send path
+    SEND_PATH_LABELS: {
+        scheduleSend: ['schedule send', 'send later', 'senden planen', 'programar envío', 'planifier l\'envoi', 'תזמון שליחה'],
+        sendArchive: ['send + archive', 'send and archive', 'send & archive', 'senden und archivieren', 'enviar y archivar', 'envoyer et archiver']
+    },
+    // Controls in send menus and dialogs that open another step instead of sending
+    PATH_EXCLUDED_WORDS: ['pick date', 'custom', 'cancel', 'close', 'back'],
+    BIDI_MARKS: /[\u200e\u200f\u202a-\u202e]/g,
+    // Anything between words, so "Sender" or "Resend" never reads as "Send"
+    WORD_SEPARATOR: /[^\p{L}\p{M}\p{N}]+/u,
+    SHORTCUT_HINT: /(ctrl|strg|cmd|⌘)\s*[-+]?\s*(enter|eingabe|entrée|intro|invio|↵|⏎)/i,
+    CANDIDATE_SELECTOR: 'button, [role="button"], [role="menuitem"], input[type="submit"]',
+    // Highest weight first: the first signal found names the detection strategy
+    DETECTION_WEIGHTS: {
+        selector: 0.4,
+        label: 0.35,
+        adapter: 0.3,
+        text: 0.25,
+        shortcut: 0.2,
+        structure: 0.2
+    },
+    // A candidate scores nothing without one of these: the adapter check, a
+    // shortcut hint and the compose structure only add to them
+    EVIDENCE_SIGNALS: ['selector', 'label', 'text'],
+    DETECTION_THRESHOLD: 0.5
+};
+
+/**
+ * Check whether a keydown event is Ctrl+Enter / Cmd+Enter
+ * @param {KeyboardEvent} event - Keydown event
+ * @returns {boolean} Whether the event is the common send shortcut
+ */
+function isModifierEnter(event) {
+    return (
+        event.key === 'Enter' &&
+        (event.ctrlKey || event.metaKey) &&
+        !event.altKey &&
+        !event.shiftKey
+    );
+}
+
+/**
+ * Check whether a label contains a word on its own rather than inside a
+ * longer word
+ * @param {string|null} label - Label or visible text
+ * @param {string} word - Lowercase word to look for
+ * @returns {boolean} Whether the label contains the word
+ */
+function containsWord(label, word) {
+    return (label || '')
+        .replace(SITES_CONFIG.BIDI_MARKS, '')
+        .toLowerCase()
+        .split(SITES_CONFIG.WORD_SEPARATOR)
+        .includes(word);
+}
+
+/**
+ * Check whether an element is labelled as a send control
+ * Reads the visible text, aria-label and title, since icon buttons carry
+ * their name only in attributes.
+ * @param {Element} button - Candidate element
+ * @returns {boolean} Whether the element is labelled "Send"
+ */
+function hasSendLabel(button) {
+    const label = [
+        button.textContent,
+        button.getAttribute('aria-label'),
+        button.getAttribute('title')
+    ].join(' ').toLowerCase();
+    
+    return containsWord(label, 'send') && !label.includes('feedback') && !label.includes('option');
+}
+
+/**
+ * Check whether a label is just "Send" in one of SITES_CONFIG.SEND_WORDS,
+ * optionally followed by a shortcut in parentheses ("Send (Ctrl+Enter)")
+ * @param {string|null} label - Label or visible text
+ * @returns {boolean} Whether the label names the send action
+ */
+function isSendWord(label) {
+    const word = (label || '')
+        .replace(SITES_CONFIG.BIDI_MARKS, '')
+        .replace(/[(（].*[)）]/, '')
+        .trim()
+        .toLowerCase();
+    return SITES_CONFIG.SEND_WORDS.includes(word);
+}
+
+/**
+ * Score how likely an element is the send control of a compose window
+ * Combines the adapter's selectors and check with labels in several
+ * languages, a keyboard shortcut hint in the tooltip and whether the element
+ * sits in a compose window with an editor, so protection keeps working when a
+ * site renames its markup.
+ * @param {Element} button - Candidate element
+ * @param {Object} adapter - Site adapter
+ * @returns {{confidence: number, strategy: string|null, signals: string[]}} Score from 0 to 1, strongest signal and all signals found
+ */
+function detectSendButton(button, adapter) {
+    const labels = ['aria-label', 'data-tooltip', 'title'].map(attribute => button.getAttribute(attribute) || '');
+    const text = button.textContent || button.value || '';
+    const allText = labels.concat(text).join(' ').toLowerCase();
+    
+    if (SITES_CONFIG.EXCLUDED_WORDS.some(word => allText.includes(word))) {
+        return { confidence: 0, strategy: null, signals: [] };
+    }
+    
+    const root = button.closest(adapter.composeWindowSelectors.join(','));
+    const found = {
+        selector: adapter.sendButtonSelectors.some(selector => button.matches(selector)),
+        label: labels.some(isSendWord),
+        adapter: adapter.isSendButton(button),
+        text: isSendWord(text),
+        shortcut: labels.some(label => SITES_CONFIG.SHORTCUT_HINT.test(label)),
+        structure: Boolean(root && root.querySelector(adapter.composeInputSelectors.join(',')))
+    };
+    const signals = Object.keys(SITES_CONFIG.DETECTION_WEIGHTS).filter(signal => found[signal]);
+    const score = SITES_CONFIG.EVIDENCE_SIGNALS.some(signal => found[signal])
+        ? signals.reduce((sum, signal) => sum + SITES_CONFIG.DETECTION_WEIGHTS[signal], 0)
+        : 0;
+    
+    return {
+        confidence: Math.round(Math.min(1, score) * 100) / 100,
+        strategy: signals[0] || null,
+        signals
+    };
+}
+
+/**
+ * Score how likely an element commits a message through one of the adapter's
+ * other send paths (adapter.sendPaths), such as a scheduled send
+ * Signals use SITES_CONFIG.DETECTION_WEIGHTS: the path's selectors, its
+ * labels, and sitting in the path's dialog or a compose window.
+ * @param {Element} button - Candidate element
+ * @param {Object} adapter - Site adapter
+ * @param {string} path - Send path id, e.g. 'scheduleSend'
+ * @returns {{confidence: number, strategy: string|null, signals: string[]}} Score from 0 to 1, strongest signal and all signals found
+ */
+function detectSendPathControl(button, adapter, path) {
+    const definition = adapter.sendPaths[path];
+    const labels = ['aria-label', 'data-tooltip', 'title'].map(attribute => button.getAttribute(attribute) || '');
+    const texts = labels.concat(button.textContent || button.value || '').map(text => text.trim().toLowerCase());
+    
+    // Menu entries that open the schedule dialog only lead to the control that sends
+    const opensPopup = ['true', 'menu', 'dialog'].includes(button.getAttribute('aria-haspopup'));
+    
+    if (opensPopup || texts.some(text => SITES_CONFIG.PATH_EXCLUDED_WORDS.some(word => text.includes(word)))) {
+        return { confidence: 0, strategy: null, signals: [] };
+    }
+    
+    const containers = definition.containerSelectors.concat(adapter.composeWindowSelectors).join(',');
+    const found = {
+        selector: definition.selectors.some(selector => button.matches(selector)),
+        label: texts.some(text => SITES_CONFIG.SEND_PATH_LABELS[path].some(label => text.startsWith(label))),
+        structure: Boolean(button.closest(containers))
+    };
+    const signals = Object.keys(SITES_CONFIG.DETECTION_WEIGHTS).filter(signal => found[signal]);
+    // Being inside a dialog or compose window says nothing on its own
+    const score = signals.length === 1 && found.structure
+        ? 0
+        : signals.reduce((sum, signal) => sum + SITES_CONFIG.DETECTION_WEIGHTS[signal], 0);
+    
+    return {
+        confidence: Math.round(Math.min(1, score) * 100) / 100,
+        strategy: signals[0] || null,
+        signals
+    };
+}
+
+/**
+ * Find which send path, if any, an element commits a message through
+ * The adapter's other send paths are checked before the primary Send button,
+ * since their labels usually contain "Send" too.
+ * @param {Element} button - Candidate element
+ * @param {Object} adapter - Site adapter
+ * @returns {{path: string, confidence: number, strategy: string|null, signals: string[]}|null} Best detection at or above SITES_CONFIG.DETECTION_THRESHOLD, or null
+ */
+function detectSendControl(button, adapter) {
+    for (const path of Object.keys(adapter.sendPaths)) {
+        const detection = detectSendPathControl(button, adapter, path);
+        if (detection.confidence >= SITES_CONFIG.DETECTION_THRESHOLD) {
+            return { path, ...detection };
+        }
+    }
+    
+    const detection = detectSendButton(button, adapter);
+    return detection.confidence >= SITES_CONFIG.DETECTION_THRESHOLD ? { path: 'send', ...detection } : null;
+}
+
+/**
+ * Get every selector that may match a send control of an adapter
+ * @param {Object} adapter - Site adapter
+ * @returns {string[]} Send button and send path selectors
+ */
+function getSendControlSelectors(adapter) {
+    return Object.keys(adapter.sendPaths).reduce(
+        (selectors, path) => selectors.concat(adapter.sendPaths[path].selectors),
+        adapter.sendButtonSelectors.slice()
+    );
+}
+
+/**
+ * Get the hostname of the page, including pop-out compose windows
+ * @returns {string} Hostname
+ */
+function getPageHostname() {
+    if (window.location.hostname) {
+        return window.location.hostname;
+    }
+    
+    // Pop-out windows start as about:blank and inherit the opening page's origin
+    try {
+        return new URL(window.origin).hostname;
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Read recipients from address chips by looking for an email address in
+ * the chip's attributes, then its text
+ * @param {Element|null} root - Compose window root
+ * @param {string[]} selectors - Address chip selectors
+ * @returns {Array<{email: string, name: string}>} Unique recipients
+ */
+function findRecipientsByAddress(root, selectors) {
+    if (!root) {
+        return [];
+    }
+    
+    const recipients = new Map();
+    
+    root.querySelectorAll(selectors.join(',')).forEach(function(chip) {
+        const sources = SITES_CONFIG.ADDRESS_ATTRIBUTES
+            .map(attribute => chip.getAttribute(attribute) || '')
+            .concat(chip.textContent);
+        const match = sources.map(source => source.match(SITES_CONFIG.EMAIL_PATTERN)).find(Boolean);
+        if (!match) {
+            return;
+        }
+        
+        const email = match[0].replace(/^mailto:/i, '').toLowerCase();
+        const text = chip.textContent.trim();
+        if (!recipients.has(email)) {
+            recipients.set(email, {
+                email,
+                name: text.includes('@') ? '' : text
+            });
+        }
+    });
+    
+    return Array.from(recipients.values());
+}
+
+/**
+ * Site adapters. Each adapter describes one webmail client:
+ *   hosts - hostnames it runs on
+ *   composeWindowSelectors - compose window roots, most specific first
+ *   composeInputSelectors - editable fields of a compose window (body and subject)
+ *   composeBodySelectors / subjectSelectors / quotedTextSelectors - draft text for content triggers
+ *   attachmentSelectors - elements present when the draft has an attachment
+ *   sendButtonSelectors - candidate send controls
+ *   sendPaths - other controls that commit a message, by path id: their selectors and
+ *     containerSelectors for the menu or dialog they appear in
+ *   themeProbeSelectors - elements whose background tells a dark theme from a light one
+ *   isSendButton(button) - whether a candidate really is a send control
+ *   isSendShortcut(event) - whether a keydown sends the message
+ *   getRecipients(root) - To, Cc and Bcc recipients of a compose window
+ * Selectors follow each client's current markup and will need updating when
+ * a client redesigns its compose window.
+ */
+const SITE_ADAPTERS = {
+    gmail: {
+        label: 'Gmail',
+        hosts: ['mail.google.com'],
+        composeWindowSelectors: [
+            'div[role="dialog"]',
+            '.M9',
+            '.ip',
+            'form'
+        ],
+        composeInputSelectors: [
+            'div[aria-label="Message Body"][contenteditable="true"]',
+            'div[g_editable="true"][role="textbox"]',
+            '.Am.Al.editable',
+            'input[name="subjectbox"]'
+        ],
+        composeBodySelectors: [
+            'div[aria-label="Message Body"][contenteditable="true"]',
+            'div[g_editable="true"][role="textbox"]',
+            '.Am.Al.editable'
+        ],
+        subjectSelectors: [
+            'input[name="subjectbox"]'
+        ],
+        quotedTextSelectors: [
+            '.gmail_quote',
+            'blockquote'
+        ],
+        attachmentSelectors: [
+            'input[name="attach"]',
+            '[download_url]',
+            '.dL'
+        ],
+        sendButtonSelectors: [
+            '[role="button"][data-tooltip*="Send"]',
+            '[aria-label*="Send"]',
+            '[data-tooltip*="Send"]',
+            'div[data-tooltip="Send (Ctrl+Enter)"]',
+            '.T-I.J-J5-Ji.aoO.v7.T-I-atl.L3',
+            '[data-testid="send"]',
+            'button[name="send"]',
+            '.Am.Al.editable .T-I.J-J5-Ji.aoO.T-I-atl.L3'
+        ],
+        sendPaths: {
+            // "Schedule send" in the Send options menu opens a dialog whose
+            // suggested times and date picker confirm button schedule the message
+            scheduleSend: {
+                selectors: [
+                    '[role="dialog"][aria-label*="Schedule send"] [role="menuitem"]',
+                    '[role="dialog"][aria-label*="Schedule send"] button'
+                ],
+                containerSelectors: [
+                    '[role="dialog"][aria-label*="Schedule send"]'
+                ]
+            },
+            // Send + archive button of the "Send and Archive" setting
+            sendArchive: {
+                selectors: [
+                    '[role="button"][data-tooltip*="Send + archive"]',
+                    '[role="button"][aria-label*="Send + archive"]'
+                ],
+                containerSelectors: []
+            }
+        },
+        themeProbeSelectors: [
+            '[role="main"]',
+            '.nH',
+            'body'
+        ],
+        isSendButton: function(button) {
+            const buttonText = button.textContent.toLowerCase();
+            return containsWord(buttonText, 'send') && !buttonText.includes('feedback');
+        },
+        isSendShortcut: isModifierEnter,
+        getRecipients: function(root) {
+            if (!root) {
+                return [];
+            }
+            
+            const recipients = new Map();
+            
+            ['[email]', '[data-hovercard-id*="@"]'].forEach(function(selector) {
+                root.querySelectorAll(selector).forEach(function(chip) {
+                    const email = (chip.getAttribute('email') || chip.getAttribute('data-hovercard-id') || '').trim().toLowerCase();
+                    if (email.includes('@') && !recipients.has(email)) {
+                        recipients.set(email, {
+                            email,
+                            name: (chip.getAttribute('name') || '').trim()
+                        });
+                    }
+                });
+            });
+            
+            return Array.from(recipients.values());
+        }
+    },
+    
+    outlook: {
+        label: 'Outlook',
+        hosts: ['outlook.office.com', 'outlook.office365.com', 'outlook.live.com'],
+        // Inline replies and new messages open in a docking area of the reading
+        // pane; the main region around it also holds the message list's buttons
+        composeWindowSelectors: [
+            'div[role="dialog"]',
+            'div[id^="docking_InitVisiblePart_"]',
+            '[data-app-section="ConversationContainer"]'
+        ],
+        composeInputSelectors: [
+            'div[aria-label="Message body"][contenteditable="true"]',
+            'div[role="textbox"][contenteditable="true"]',
+            'input[aria-label="Add a subject"]'
+        ],
+        composeBodySelectors: [
+            'div[aria-label="Message body"][contenteditable="true"]',
+            'div[role="textbox"][contenteditable="true"]'
+        ],
+        subjectSelectors: [
+            'input[aria-label="Add a subject"]',
+            'input[placeholder="Add a subject"]'
+        ],
+        quotedTextSelectors: [
+            '#divRplyFwdMsg',
+            '#divRplyFwdMsg ~ *',
+            'blockquote'
+        ],
+        attachmentSelectors: [
+            '[aria-label^="Attachments"] [role="listitem"]',
+            '[aria-label^="Attachments"] [role="option"]'
+        ],
+        sendButtonSelectors: [
+            'button[aria-label="Send"]',
+            'button[title^="Send"]',
+            'button[name="send"]'
+        ],
+        sendPaths: {
+            // "Schedule send" in the Send dropdown opens a dialog of suggested
+            // times and a custom time picker with its own Send button
+            scheduleSend: {
+                selectors: [
+                    '[role="dialog"][aria-label*="Schedule send"] [role="menuitem"]',
+                    '[role="dialog"][aria-label*="Schedule send"] button[aria-label*="Send"]'
+                ],
+                containerSelectors: [
+                    '[role="dialog"][aria-label*="Schedule send"]'
+                ]
+            }
+        },
+        themeProbeSelectors: [
+            '[role="main"]',
+            'body'
+        ],
+        isSendButton: hasSendLabel,
+        // Outlook also sends with Alt+S
+        isSendShortcut: function(event) {
+            return isModifierEnter(event) || (
+                event.altKey &&
+                !event.ctrlKey &&
+                !event.metaKey &&
+                String(event.key).toLowerCase() === 's'
+            );
+        },
+        getRecipients: function(root) {
+            return findRecipientsByAddress(root, [
+                '[aria-label="To"] [role="listitem"]',
+                '[aria-label="Cc"] [role="listitem"]',
+                '[aria-label="Bcc"] [role="listitem"]'
+            ]);
+        }
+    },
+    
+    fastmail: {
+        label: 'Fastmail',
+        hosts: ['app.fastmail.com', 'www.fastmail.com'],
+        composeWindowSelectors: [
+            '.v-Compose',
+            'div[role="dialog"]',
+            'form'
+        ],
+        composeInputSelectors: [
+            '.v-Compose [contenteditable="true"]',
+            'div[role="textbox"][contenteditable="true"]',
+            'input[name="subject"]'
+        ],
+        composeBodySelectors: [
+            '.v-Compose [contenteditable="true"]',
+            'div[role="textbox"][contenteditable="true"]'
+        ],
+        subjectSelectors: [
+            'input[name="subject"]'
+        ],
+        quotedTextSelectors: [
+            'blockquote'
+        ],
+        attachmentSelectors: [
+            '.v-Compose-attachment',
+            '.v-Attachment'
+        ],
+        sendButtonSelectors: [
+            'button[title^="Send"]',
+            'button[aria-label^="Send"]',
+            '.v-Compose button.v-Button--cta'
+        ],
+        sendPaths: {
+            // The Send button's menu offers "Send later" with a time picker
+            scheduleSend: {
+                selectors: [
+                    '.v-Compose-sendLater button'
+                ],
+                containerSelectors: [
+                    '.v-Compose-sendLater'
+                ]
+            }
+        },
+        themeProbeSelectors: [
+            '.v-Compose',
+            'body'
+        ],
+        isSendButton: hasSendLabel,
+        isSendShortcut: isModifierEnter,
+        getRecipients: function(root) {
+            return findRecipientsByAddress(root, [
+                '[class*="Recipient"] [title*="@"]',
+                '[class*="Recipient"] [data-email]'
+            ]);
+        }
+    }
+};
+
+/**
+ * Find the adapter for a page
+ * @param {string} hostname - Page hostname
+ * @returns {Object|null} Site adapter, or null when the site is not supported
+ */
+function getSiteAdapter(hostname) {
+    const id = Object.keys(SITE_ADAPTERS).find(key => SITE_ADAPTERS[key].hosts.includes(hostname));
+    return id ? SITE_ADAPTERS[id] : null;
+}